@@ -0,0 +1,92 @@
+// Account helpers: email normalization, password rules and single-use
+// expiring tokens for password resets and email verification.
+//
+// Token document (`authTokens`, id = sha256 of the token):
+//   { email, purpose, createdAt, expiresAt, usedAt }
+// Only the hash is stored, so a leaked database can't be used to reset
+// passwords.
+const crypto = require("crypto");
+
+const TOKENS_COLLECTION = "authTokens";
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const COMMON_PASSWORDS = new Set([
+  "password",
+  "password1",
+  "12345678",
+  "123456789",
+  "qwerty123",
+  "iloveyou",
+  "jesus123",
+  "blessed1",
+  "letmein1",
+]);
+
+const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+const isValidEmail = (email) => EMAIL_PATTERN.test(email);
+
+// Returns the list of rules the password breaks (empty when strong enough)
+const passwordProblems = (password, email = "") => {
+  if (typeof password !== "string") return ["Password must be a string"];
+  const problems = [];
+  if (password.length < 8) problems.push("Use at least 8 characters");
+  if (password.length > 128) problems.push("Use at most 128 characters");
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    problems.push("Use both letters and numbers");
+  }
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) problems.push("Password is too common");
+  if (email && lower === normalizeEmail(email)) {
+    problems.push("Password must not be your email");
+  }
+  return problems;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+const createAccountTokens = ({ store }) => ({
+  // Issues a token for `purpose`; resolves to the raw token string
+  issue: async (email, purpose, ttlMinutes) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = new Date();
+    await store.set(TOKENS_COLLECTION, hashToken(token), {
+      email,
+      purpose,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlMinutes * 60000),
+      usedAt: null,
+    });
+    return token;
+  },
+
+  // Marks a token used; resolves to its email, or null if the token is
+  // unknown, expired, already used or meant for another purpose
+  consume: async (token, purpose) => {
+    if (typeof token !== "string" || !token) return null;
+    const id = hashToken(token);
+    const tokenDoc = await store.get(TOKENS_COLLECTION, id);
+    if (!tokenDoc) return null;
+
+    const { email, purpose: tokenPurpose, expiresAt, usedAt } = tokenDoc.data;
+    if (tokenPurpose !== purpose || usedAt) return null;
+    if (toMillis(expiresAt) <= Date.now()) return null;
+
+    await store.update(TOKENS_COLLECTION, id, { usedAt: new Date() });
+    return email;
+  },
+});
+
+module.exports = {
+  normalizeEmail,
+  isValidEmail,
+  passwordProblems,
+  createAccountTokens,
+};
@@ -0,0 +1,260 @@
+// Background queue for sermon audio generation. Jobs live in the
+// `ttsJobs` collection so they survive restarts; each synthesized chunk is
+// written to storage as soon as it is ready, so a retry or a restart picks
+// up at the first missing chunk instead of starting over.
+//
+// Job document:
+//   { sermonId, languageCode, voiceName, contentHash, chunks: [text], status,
+//     chunksTotal, chunksCompleted, attempts, error, url,
+//     createdAt, updatedAt, startedAt, finishedAt }
+//   status: queued -> running -> done | failed
+// `onProgress` hears about every status change and finished chunk.
+const {
+  variantKey,
+  contentHash: hashContent,
+  variantPath,
+} = require("./audioVariants");
+
+const JOBS_COLLECTION = "ttsJobs";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const partPath = (jobId, index) => `sermons/tts/parts/${jobId}/${index}.mp3`;
+
+const createAudioJobQueue = ({
+  store,
+  storage,
+  synthesize, // (text, languageCode, voiceName) -> MP3 Buffer
+  merge, // (buffers) -> { buffer, duration, offsets }
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  onProgress = () => {}, // ({ jobId, sermonId, status, chunksCompleted, ... })
+}) => {
+  const pending = [];
+  let working = false;
+
+  const updateJob = (jobId, fields) =>
+    store.update(JOBS_COLLECTION, jobId, { ...fields, updatedAt: new Date() });
+
+  const report = (jobId, job, fields) => {
+    try {
+      onProgress({
+        jobId,
+        sermonId: job.sermonId,
+        languageCode: job.languageCode,
+        voiceName: job.voiceName,
+        status: job.status,
+        chunksCompleted: job.chunksCompleted,
+        chunksTotal: job.chunksTotal,
+        ...fields,
+      });
+    } catch (err) {
+      console.error(`Progress report for job ${jobId} failed:`, err);
+    }
+  };
+
+  const synthesizeWithRetry = async (jobId, job, index) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await synthesize(
+          job.chunks[index],
+          job.languageCode,
+          job.voiceName
+        );
+      } catch (err) {
+        job.attempts += 1;
+        await updateJob(jobId, { attempts: job.attempts });
+        if (attempt >= maxAttempts) throw err;
+
+        const delay = baseDelayMs * 2 ** (attempt - 1);
+        console.warn(
+          `Job ${jobId} chunk ${index + 1} attempt ${attempt} failed:`,
+          err.message
+        );
+        await sleep(delay);
+      }
+    }
+  };
+
+  const finish = async (jobId, job) => {
+    const { sermonId, languageCode, voiceName, chunksTotal, contentHash } = job;
+
+    console.log(`Merging ${chunksTotal} audio chunks for job ${jobId}...`);
+    const parts = [];
+    for (let i = 0; i < chunksTotal; i++) {
+      parts.push(await storage.read(partPath(jobId, i)));
+    }
+    const { buffer, duration, offsets } = merge(parts);
+
+    const key = variantKey(languageCode, voiceName);
+    const audioPath = variantPath(sermonId, key);
+    const url = await storage.save(audioPath, buffer, {
+      contentType: "audio/mpeg",
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        languageCode,
+        voiceName,
+        chunkCount: chunksTotal,
+        durationSeconds: duration,
+      },
+    });
+
+    // The sermon may have been edited while this job was running
+    const sermonDoc = await store.get("sermons", sermonId);
+    if (!sermonDoc) throw new Error(`Sermon ${sermonId} no longer exists`);
+    const outdated = hashContent(sermonDoc.data.content) !== contentHash;
+
+    const generatedAt = new Date();
+    await store.update("sermons", sermonId, {
+      [`ttsVariants.${key}`]: {
+        languageCode,
+        voiceName,
+        url,
+        path: audioPath,
+        contentHash,
+        outdated,
+        generatedAt,
+        duration,
+        chunkOffsets: offsets,
+        jobId,
+      },
+      // Flat fields mirror the latest up-to-date variant for older clients
+      ...(outdated
+        ? {}
+        : {
+            ttsAudioUrl: url,
+            ttsGeneratedAt: generatedAt,
+            ttsLanguageCode: languageCode,
+            ttsVoiceName: voiceName,
+            ttsDuration: duration,
+            ttsChunkOffsets: offsets,
+          }),
+    });
+    await updateJob(jobId, { status: "done", url, finishedAt: new Date() });
+    report(jobId, job, { status: "done", url, chunksCompleted: chunksTotal });
+
+    for (let i = 0; i < chunksTotal; i++) {
+      await storage.delete(partPath(jobId, i)).catch(() => {});
+    }
+    console.log(`TTS generation complete for sermon ${sermonId}`);
+  };
+
+  const processJob = async (jobId) => {
+    const jobDoc = await store.get(JOBS_COLLECTION, jobId);
+    if (!jobDoc || !["queued", "running"].includes(jobDoc.data.status)) return;
+
+    const job = jobDoc.data;
+    await updateJob(jobId, { status: "running", startedAt: new Date() });
+    report(jobId, job, { status: "running" });
+
+    try {
+      // Chunks are produced in order, so chunksCompleted is the resume point
+      for (let i = job.chunksCompleted; i < job.chunksTotal; i++) {
+        console.log(
+          `Job ${jobId}: generating chunk ${i + 1}/${job.chunksTotal}`
+        );
+        const audio = await synthesizeWithRetry(jobId, job, i);
+        // Parts are internal; only the merged file is published
+        await storage.save(partPath(jobId, i), audio, {
+          contentType: "audio/mpeg",
+          public: false,
+        });
+        await updateJob(jobId, { chunksCompleted: i + 1 });
+        report(jobId, job, { status: "running", chunksCompleted: i + 1 });
+      }
+
+      await finish(jobId, job);
+    } catch (err) {
+      console.error(`TTS job ${jobId} failed:`, err);
+      await updateJob(jobId, {
+        status: "failed",
+        error: err.message,
+        finishedAt: new Date(),
+      });
+      report(jobId, job, { status: "failed", error: err.message });
+    }
+  };
+
+  const work = async () => {
+    if (working) return;
+    working = true;
+    while (pending.length) {
+      const jobId = pending.shift();
+      await processJob(jobId).catch((err) =>
+        console.error(`TTS job ${jobId} crashed:`, err)
+      );
+    }
+    working = false;
+  };
+
+  const enqueue = (jobId) => {
+    if (!pending.includes(jobId)) pending.push(jobId);
+    work();
+  };
+
+  return {
+    // Creates a queued job for the sermon and starts it in the background
+    create: async ({ sermonId, languageCode, voiceName, content, chunks }) => {
+      const job = {
+        sermonId,
+        languageCode,
+        voiceName,
+        contentHash: hashContent(content),
+        chunks,
+        status: "queued",
+        chunksTotal: chunks.length,
+        chunksCompleted: 0,
+        attempts: 0,
+        error: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const jobId = await store.add(JOBS_COLLECTION, job);
+      report(jobId, job, {});
+      enqueue(jobId);
+      return jobId;
+    },
+
+    // Puts a failed job back in the queue, keeping its finished chunks
+    retry: async (jobId) => {
+      await updateJob(jobId, { status: "queued", error: null });
+      const jobDoc = await store.get(JOBS_COLLECTION, jobId);
+      if (jobDoc) report(jobId, jobDoc.data, {});
+      enqueue(jobId);
+    },
+
+    get: async (jobId) => {
+      const jobDoc = await store.get(JOBS_COLLECTION, jobId);
+      return jobDoc ? { id: jobDoc.id, ...jobDoc.data } : null;
+    },
+
+    // Re-queues jobs that were queued or interrupted by a restart
+    resume: async () => {
+      const unfinished = await store.query(JOBS_COLLECTION, {
+        where: [["status", "in", ["queued", "running"]]],
+      });
+      for (const { id } of unfinished) enqueue(id);
+      return unfinished.length;
+    },
+
+    // Deletes a sermon's finished or failed jobs and their leftover chunk
+    // files; resolves to the number of jobs removed
+    removeForSermon: async (sermonId) => {
+      const jobs = await store.query(JOBS_COLLECTION, {
+        where: [["sermonId", "==", sermonId]],
+      });
+      const removable = jobs.filter(
+        ({ id, data }) => !pending.includes(id) && data.status !== "running"
+      );
+      for (const { id, data } of removable) {
+        for (let i = 0; i < data.chunksCompleted; i++) {
+          await storage.delete(partPath(id, i)).catch(() => {});
+        }
+        await store.delete(JOBS_COLLECTION, id);
+      }
+      return removable.length;
+    },
+  };
+};
+
+module.exports = { createAudioJobQueue };
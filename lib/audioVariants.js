@@ -0,0 +1,91 @@
+// Sermon audio variants. A sermon keeps one generated MP3 per language and
+// voice in its `ttsVariants` map:
+//   ttsVariants[key] = { languageCode, voiceName, url, path, contentHash,
+//                        outdated, generatedAt, duration, chunkOffsets, jobId }
+// `contentHash` is the hash of the sermon content the audio was built from;
+// editing the content marks variants built from older text as outdated.
+//
+// Sermons generated before variants existed only have the flat ttsAudioUrl
+// fields; those are exposed as a "legacy" variant with an unknown hash.
+const crypto = require("crypto");
+
+// Map keys can't contain "." (field paths) or "/"
+const variantKey = (languageCode, voiceName) =>
+  `${languageCode}_${voiceName}`.replace(/[^A-Za-z0-9_-]/g, "-");
+
+const contentHash = (content) =>
+  crypto
+    .createHash("sha256")
+    .update(content || "")
+    .digest("hex");
+
+const variantPath = (sermonId, key) => `sermons/tts/${sermonId}_${key}.mp3`;
+
+const listVariants = (sermonId, sermonData) => {
+  const variants = { ...(sermonData.ttsVariants || {}) };
+
+  const { ttsAudioUrl, ttsLanguageCode, ttsVoiceName } = sermonData;
+  if (ttsAudioUrl && ttsLanguageCode && ttsVoiceName) {
+    const key = variantKey(ttsLanguageCode, ttsVoiceName);
+    if (!variants[key]) {
+      variants[key] = {
+        languageCode: ttsLanguageCode,
+        voiceName: ttsVoiceName,
+        url: ttsAudioUrl,
+        path: `sermons/tts/${sermonId}_${ttsLanguageCode}.mp3`,
+        contentHash: null,
+        outdated: false,
+        generatedAt: sermonData.ttsGeneratedAt || null,
+        duration: sermonData.ttsDuration ?? null,
+        chunkOffsets: sermonData.ttsChunkOffsets || null,
+        legacy: true,
+      };
+    }
+  }
+
+  return variants;
+};
+
+// Audio that can be served as-is for this content
+const isCurrent = (variant, hash) =>
+  !!variant?.url &&
+  !variant.outdated &&
+  (variant.contentHash === hash || variant.contentHash === null);
+
+// Update fields that mark variants outdated when content changes to
+// `newContent`. The flat ttsAudioUrl fields are cleared so clients fall
+// back to on-demand synthesis instead of playing stale audio. Legacy
+// variants are taken to match the stored content.
+const staleVariantUpdates = (sermonId, sermonData, newContent) => {
+  const hash = contentHash(newContent);
+  const storedHash = contentHash(sermonData.content);
+  const updates = {};
+  if (hash === storedHash) return updates;
+
+  for (const [key, variant] of Object.entries(
+    listVariants(sermonId, sermonData)
+  )) {
+    const builtFrom = variant.contentHash ?? storedHash;
+    if (!variant.url || variant.outdated || builtFrom === hash) continue;
+    if (variant.legacy) {
+      const { legacy, ...entry } = variant;
+      updates[`ttsVariants.${key}`] = { ...entry, outdated: true };
+    } else {
+      updates[`ttsVariants.${key}.outdated`] = true;
+    }
+    if (sermonData.ttsAudioUrl === variant.url) {
+      updates.ttsAudioUrl = null;
+    }
+  }
+
+  return updates;
+};
+
+module.exports = {
+  variantKey,
+  contentHash,
+  variantPath,
+  listVariants,
+  isCurrent,
+  staleVariantUpdates,
+};
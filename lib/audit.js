@@ -0,0 +1,86 @@
+// Audit log of administrative changes, in the `auditLog` collection:
+//   { actor, action, collection, docId, changes, details, ip, createdAt }
+// `changes` maps each changed top-level field to { before, after }; long
+// text is shortened so entries stay well under the document size limit.
+// Writing an entry never fails the request that caused it.
+
+const AUDIT_COLLECTION = "auditLog";
+const MAX_TEXT_LENGTH = 2000;
+
+// Bookkeeping fields every write touches
+const IGNORED_FIELDS = ["updatedAt"];
+
+const toComparable = (value) => {
+  if (value?.toDate) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toComparable);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [key, toComparable(inner)])
+    );
+  }
+  return value === undefined ? null : value;
+};
+
+const shorten = (value) => {
+  if (typeof value === "string" && value.length > MAX_TEXT_LENGTH) {
+    return `${value.slice(0, MAX_TEXT_LENGTH)}… (${
+      value.length - MAX_TEXT_LENGTH
+    } more characters)`;
+  }
+  if (Array.isArray(value)) return value.map(shorten);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [key, shorten(inner)])
+    );
+  }
+  return value;
+};
+
+// { field: { before, after } } for fields that differ
+const diffFields = (before = {}, after = {}) => {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const old = toComparable(before?.[field]);
+    const next = toComparable(after?.[field]);
+    if (JSON.stringify(old) !== JSON.stringify(next)) {
+      changes[field] = { before: shorten(old), after: shorten(next) };
+    }
+  }
+  return changes;
+};
+
+const createAuditLog = ({ store }) => ({
+  record: async ({
+    actor,
+    action,
+    collection = null,
+    docId = null,
+    before = null,
+    after = null,
+    details = null,
+    ip = null,
+  }) => {
+    try {
+      await store.add(AUDIT_COLLECTION, {
+        actor,
+        action,
+        collection,
+        docId,
+        changes: before || after ? diffFields(before, after) : {},
+        details: details && shorten(toComparable(details)),
+        ip,
+        createdAt: new Date(),
+      });
+    } catch (err) {
+      console.error(`Audit log write failed (${action}):`, err);
+    }
+  },
+});
+
+module.exports = { AUDIT_COLLECTION, diffFields, createAuditLog };
@@ -0,0 +1,183 @@
+// Firebase backends: Firestore documents + Cloud Storage bucket
+const admin = require("firebase-admin");
+
+const applyQuery = (collectionRef, { where = [], orderBy = [] } = {}) => {
+  let query = collectionRef;
+  for (const [field, op, value] of where) {
+    query = query.where(field, op, value);
+  }
+  for (const [field, direction = "asc"] of orderBy) {
+    query = query.orderBy(field, direction);
+  }
+  return query;
+};
+
+const createFirestoreStore = (db) => {
+  const toDoc = (snapshot) => ({ id: snapshot.id, data: snapshot.data() });
+
+  return {
+    name: "firestore",
+
+    serverTimestamp: () => admin.firestore.FieldValue.serverTimestamp(),
+    deleteField: () => admin.firestore.FieldValue.delete(),
+    timestamp: (seconds, nanoseconds) =>
+      new admin.firestore.Timestamp(seconds, nanoseconds),
+
+    get: async (collection, id) => {
+      const snapshot = await db.collection(collection).doc(id).get();
+      return snapshot.exists ? toDoc(snapshot) : null;
+    },
+
+    add: async (collection, data) => {
+      const docRef = await db.collection(collection).add(data);
+      return docRef.id;
+    },
+
+    set: async (collection, id, data, { merge = false } = {}) => {
+      await db.collection(collection).doc(id).set(data, { merge });
+    },
+
+    // Writes a new document; resolves to false when `id` is already taken
+    create: async (collection, id, data) => {
+      try {
+        await db.collection(collection).doc(id).create(data);
+        return true;
+      } catch (err) {
+        if (err.code === 6) return false; // ALREADY_EXISTS
+        throw err;
+      }
+    },
+
+    update: async (collection, id, data) => {
+      await db.collection(collection).doc(id).update(data);
+    },
+
+    delete: async (collection, id) => {
+      await db.collection(collection).doc(id).delete();
+    },
+
+    // options: { where: [[field, op, value]], orderBy: [[field, dir]],
+    //            after: docId, startAfter: [...orderBy values, docId],
+    //            offset, limit }
+    query: async (collection, options = {}) => {
+      const { after, startAfter, offset, limit, orderBy = [] } = options;
+      let query = applyQuery(db.collection(collection), options);
+
+      // Same id tie-break Firestore applies implicitly, made explicit so
+      // the cursor can include it
+      if (startAfter) {
+        const direction = orderBy.length
+          ? orderBy[orderBy.length - 1][1] || "asc"
+          : "asc";
+        query = query
+          .orderBy(admin.firestore.FieldPath.documentId(), direction)
+          .startAfter(...startAfter);
+      } else if (after) {
+        const cursor = await db.collection(collection).doc(after).get();
+        if (cursor.exists) query = query.startAfter(cursor);
+      }
+      if (offset) query = query.offset(offset);
+      if (limit) query = query.limit(limit);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(toDoc);
+    },
+
+    count: async (collection, options = {}) => {
+      const snapshot = await applyQuery(db.collection(collection), options)
+        .count()
+        .get();
+      return snapshot.data().count;
+    },
+  };
+};
+
+const createBucketStorage = (bucket) => {
+  const publicUrl = (destination) =>
+    `https://storage.googleapis.com/${bucket.name}/${encodeURIComponent(
+      destination
+    )}`;
+
+  return {
+    name: "gcs",
+
+    // Firebase files are served straight from the bucket
+    mount: () => {},
+
+    publicUrl,
+
+    // Object path behind one of our public or Firebase download URLs
+    pathFromUrl: (url) => {
+      const prefix = `https://storage.googleapis.com/${bucket.name}/`;
+      if (url.startsWith(prefix)) {
+        return decodeURIComponent(url.slice(prefix.length).split("?")[0]);
+      }
+      const match = url.match(
+        /^https:\/\/firebasestorage\.googleapis\.com\/v0\/b\/([^/]+)\/o\/([^?]+)/
+      );
+      return match && match[1] === bucket.name
+        ? decodeURIComponent(match[2])
+        : null;
+    },
+
+    upload: async (localPath, destination, { contentType, metadata } = {}) => {
+      const [uploadedFile] = await bucket.upload(localPath, {
+        destination,
+        metadata: { contentType, metadata },
+        public: true,
+      });
+      await uploadedFile.makePublic();
+      return publicUrl(destination);
+    },
+
+    // Pass public: false for internal objects (e.g. caches)
+    save: async (
+      destination,
+      buffer,
+      { contentType, metadata, public: isPublic = true } = {}
+    ) => {
+      const file = bucket.file(destination);
+      await file.save(buffer, {
+        contentType,
+        public: isPublic,
+        metadata: { contentType, metadata },
+      });
+      if (isPublic) await file.makePublic();
+      return publicUrl(destination);
+    },
+
+    read: async (destination) => {
+      const [contents] = await bucket.file(destination).download();
+      return contents;
+    },
+
+    exists: async (destination) => {
+      const [exists] = await bucket.file(destination).exists();
+      return exists;
+    },
+
+    delete: async (destination) => {
+      await bucket.file(destination).delete({ ignoreNotFound: true });
+    },
+  };
+};
+
+const createFirebaseBackends = ({ serviceAccountPath, storageBucket }) => {
+  const serviceAccount = require(serviceAccountPath);
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    storageBucket,
+  });
+  console.log("Firebase Admin + Storage initialized");
+
+  return {
+    store: createFirestoreStore(admin.firestore()),
+    storage: createBucketStorage(admin.storage().bucket()),
+  };
+};
+
+module.exports = {
+  createFirestoreStore,
+  createBucketStorage,
+  createFirebaseBackends,
+};
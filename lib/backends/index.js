@@ -0,0 +1,48 @@
+// Backend selection. Every route goes through `store` (documents) and
+// `storage` (files) so the API can run against Firebase or fully offline.
+//
+//   DATA_BACKEND=firebase (default)  Firestore + Cloud Storage, needs
+//                                    serviceAccountKey.json
+//   DATA_BACKEND=local               in-memory documents, files on disk
+//     LOCAL_DATA_FILE    persist documents to this JSON file (optional)
+//     LOCAL_STORAGE_DIR  directory for uploaded files (default .data/storage)
+//     LOCAL_PRIVATE_STORAGE_DIR  files saved with public: false, never
+//                        served (default LOCAL_STORAGE_DIR + "-private")
+//     PUBLIC_BASE_URL    base of the /files URLs (default http://localhost:PORT)
+const path = require("path");
+
+const createBackends = (env = process.env) => {
+  const backend = env.DATA_BACKEND || "firebase";
+
+  if (backend === "firebase") {
+    const { createFirebaseBackends } = require("./firebase");
+    return createFirebaseBackends({
+      serviceAccountPath:
+        env.FIREBASE_SERVICE_ACCOUNT ||
+        path.join(__dirname, "..", "..", "serviceAccountKey.json"),
+      storageBucket:
+        env.FIREBASE_STORAGE_BUCKET || "grace-cc555.firebasestorage.app",
+    });
+  }
+
+  if (backend === "local") {
+    const { createLocalStore, createLocalStorage } = require("./local");
+    const store = createLocalStore({ dataFile: env.LOCAL_DATA_FILE });
+    const rootDir = env.LOCAL_STORAGE_DIR || ".data/storage";
+    const storage = createLocalStorage({
+      rootDir,
+      privateDir: env.LOCAL_PRIVATE_STORAGE_DIR || `${rootDir}-private`,
+      baseUrl: env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 4000}`,
+    });
+    console.log(
+      `Local backend initialized (documents: ${
+        env.LOCAL_DATA_FILE || "in-memory"
+      })`
+    );
+    return { store, storage };
+  }
+
+  throw new Error(`Unknown DATA_BACKEND "${backend}"`);
+};
+
+module.exports = { createBackends };
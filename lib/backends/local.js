@@ -0,0 +1,418 @@
+// Local backends for offline development and tests: documents are kept in
+// memory (optionally persisted to a JSON file) and files in a directory.
+const crypto = require("crypto");
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const express = require("express");
+
+const AUTO_ID_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+// Same shape as Firestore auto ids (20 alphanumeric characters)
+const autoId = () =>
+  Array.from(
+    crypto.randomBytes(20),
+    (byte) => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]
+  ).join("");
+
+const DELETE_FIELD = Symbol("deleteField");
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !Buffer.isBuffer(value);
+
+// Firestore-like error for updates on missing documents (gRPC NOT_FOUND)
+const notFound = (collection, id) => {
+  const err = new Error(
+    `5 NOT_FOUND: No document to update: ${collection}/${id}`
+  );
+  err.code = 5;
+  return err;
+};
+
+// --- Value ordering (mirrors Firestore's cross-type ordering) ---
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === "boolean") return 1;
+  if (typeof value === "number") return 2;
+  if (value instanceof Date) return 3;
+  if (typeof value === "string") return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+};
+
+const compareValues = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const diff = compareValues(a[i], b[i]);
+      if (diff !== 0) return diff;
+    }
+    return a.length - b.length;
+  }
+  if (typeof a === "object" && a !== null) {
+    return compareValues(JSON.stringify(a), JSON.stringify(b));
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+const valuesEqual = (a, b) =>
+  typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+
+const getField = (data, field) =>
+  field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const hasField = (data, field) => getField(data, field) !== undefined;
+
+const matchesFilter = (data, [field, op, expected]) => {
+  const actual = getField(data, field);
+  switch (op) {
+    case "==":
+      return actual !== undefined && valuesEqual(actual, expected);
+    case "!=":
+      return actual !== undefined && !valuesEqual(actual, expected);
+    case "<":
+    case "<=":
+    case ">":
+    case ">=": {
+      // Range filters only match values of the same type, as in Firestore
+      if (actual === undefined || typeRank(actual) !== typeRank(expected)) {
+        return false;
+      }
+      const diff = compareValues(actual, expected);
+      if (op === "<") return diff < 0;
+      if (op === "<=") return diff <= 0;
+      if (op === ">") return diff > 0;
+      return diff >= 0;
+    }
+    case "in":
+      return (
+        actual !== undefined && expected.some((v) => valuesEqual(actual, v))
+      );
+    case "not-in":
+      return (
+        actual !== undefined && !expected.some((v) => valuesEqual(actual, v))
+      );
+    case "array-contains":
+      return (
+        Array.isArray(actual) && actual.some((v) => valuesEqual(v, expected))
+      );
+    case "array-contains-any":
+      return (
+        Array.isArray(actual) &&
+        actual.some((v) => expected.some((e) => valuesEqual(v, e)))
+      );
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+// --- Writes ---
+const applyFieldUpdate = (target, field, value) => {
+  const keys = field.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  const last = keys[keys.length - 1];
+  if (value === DELETE_FIELD) delete node[last];
+  else node[last] = value;
+};
+
+const mergeInto = (target, source) => {
+  for (const [key, value] of Object.entries(source)) {
+    if (value === DELETE_FIELD) delete target[key];
+    else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else if (isPlainObject(value)) {
+      target[key] = mergeInto({}, value);
+    } else target[key] = value;
+  }
+  return target;
+};
+
+const stripSentinels = (data) => mergeInto({}, data);
+
+// --- Persistence (Dates survive the JSON round trip) ---
+function encodeValue(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) return { $date: raw.toISOString() };
+  return value;
+}
+
+const decodeValue = (key, value) =>
+  value && typeof value === "object" && typeof value.$date === "string"
+    ? new Date(value.$date)
+    : value;
+
+const createLocalStore = ({ dataFile } = {}) => {
+  // collection path -> Map(id -> data)
+  const collections = new Map();
+
+  if (dataFile && fsSync.existsSync(dataFile)) {
+    const saved = JSON.parse(
+      fsSync.readFileSync(dataFile, "utf8"),
+      decodeValue
+    );
+    for (const [name, docs] of Object.entries(saved)) {
+      collections.set(name, new Map(Object.entries(docs)));
+    }
+  }
+
+  let flushScheduled = false;
+  const flush = () => {
+    flushScheduled = false;
+    // Runs outside any request, so a failed write is logged rather than
+    // thrown; the next change tries again with the full snapshot
+    try {
+      const snapshot = {};
+      for (const [name, docs] of collections) {
+        snapshot[name] = Object.fromEntries(docs);
+      }
+      fsSync.mkdirSync(path.dirname(dataFile), { recursive: true });
+      const tmpFile = `${dataFile}.tmp`;
+      fsSync.writeFileSync(tmpFile, JSON.stringify(snapshot, encodeValue));
+      fsSync.renameSync(tmpFile, dataFile);
+    } catch (err) {
+      console.error(`Saving local data to ${dataFile} failed:`, err);
+    }
+  };
+  const persist = () => {
+    if (!dataFile || flushScheduled) return;
+    flushScheduled = true;
+    setImmediate(flush);
+  };
+
+  const docsOf = (collection) => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+
+  const toDoc = (id, data) => ({ id, data: structuredClone(data) });
+
+  const runQuery = (collection, { where = [], orderBy = [] } = {}) => {
+    let docs = [...docsOf(collection)].filter(([, data]) =>
+      where.every((filter) => matchesFilter(data, filter))
+    );
+
+    // Like Firestore, ordering on a field excludes docs that lack it
+    docs = docs.filter(([, data]) =>
+      orderBy.every(([field]) => hasField(data, field))
+    );
+
+    const compareDocs = ([idA, dataA], [idB, dataB]) => {
+      for (const [field, direction = "asc"] of orderBy) {
+        const diff = compareValues(
+          getField(dataA, field),
+          getField(dataB, field)
+        );
+        if (diff !== 0) return direction === "desc" ? -diff : diff;
+      }
+      const lastDirection = orderBy.length
+        ? orderBy[orderBy.length - 1][1]
+        : "asc";
+      const diff = idA < idB ? -1 : idA > idB ? 1 : 0;
+      return lastDirection === "desc" ? -diff : diff;
+    };
+
+    // Position relative to a cursor of [...orderBy values, id]
+    const compareToValues = ([id, data], values) => {
+      let index = 0;
+      for (const [field, direction = "asc"] of orderBy) {
+        const diff = compareValues(getField(data, field), values[index++]);
+        if (diff !== 0) return direction === "desc" ? -diff : diff;
+      }
+      return compareDocs([id, {}], [values[index], {}]);
+    };
+
+    return { docs: docs.sort(compareDocs), compareDocs, compareToValues };
+  };
+
+  return {
+    name: "local",
+
+    serverTimestamp: () => new Date(),
+    deleteField: () => DELETE_FIELD,
+    // Local dates only have milliseconds
+    timestamp: (seconds, nanoseconds) =>
+      new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6)),
+
+    get: async (collection, id) => {
+      const data = docsOf(collection).get(id);
+      return data ? toDoc(id, data) : null;
+    },
+
+    add: async (collection, data) => {
+      const id = autoId();
+      docsOf(collection).set(id, structuredClone(stripSentinels(data)));
+      persist();
+      return id;
+    },
+
+    set: async (collection, id, data, { merge = false } = {}) => {
+      const docs = docsOf(collection);
+      const next =
+        merge && docs.has(id)
+          ? mergeInto(docs.get(id), data)
+          : stripSentinels(data);
+      docs.set(id, structuredClone(next));
+      persist();
+    },
+
+    create: async (collection, id, data) => {
+      const docs = docsOf(collection);
+      if (docs.has(id)) return false;
+      docs.set(id, structuredClone(stripSentinels(data)));
+      persist();
+      return true;
+    },
+
+    update: async (collection, id, data) => {
+      const docs = docsOf(collection);
+      if (!docs.has(id)) throw notFound(collection, id);
+      const current = docs.get(id);
+      for (const [field, value] of Object.entries(data)) {
+        applyFieldUpdate(
+          current,
+          field,
+          value === DELETE_FIELD ? value : structuredClone(value)
+        );
+      }
+      persist();
+    },
+
+    delete: async (collection, id) => {
+      docsOf(collection).delete(id);
+      persist();
+    },
+
+    query: async (collection, options = {}) => {
+      const { after, startAfter, offset = 0, limit } = options;
+      const { docs, compareDocs, compareToValues } = runQuery(
+        collection,
+        options
+      );
+      let results = docs;
+
+      if (startAfter) {
+        results = results.filter((doc) => compareToValues(doc, startAfter) > 0);
+      } else if (after && docsOf(collection).has(after)) {
+        const cursor = [after, docsOf(collection).get(after)];
+        results = results.filter((doc) => compareDocs(doc, cursor) > 0);
+      }
+      results = results.slice(offset, limit ? offset + limit : undefined);
+
+      return results.map(([id, data]) => toDoc(id, data));
+    },
+
+    count: async (collection, options = {}) =>
+      runQuery(collection, options).docs.length,
+  };
+};
+
+// Public files live under `rootDir` and are served at /files; files saved
+// with public: false (caches, audio parts) go under `privateDir`, which is
+// never served. Reads look in both.
+const createLocalStorage = ({
+  rootDir,
+  privateDir = `${rootDir}-private`,
+  baseUrl,
+}) => {
+  const root = path.resolve(rootDir);
+  const privateRoot = path.resolve(privateDir);
+  if ((privateRoot + path.sep).startsWith(root + path.sep)) {
+    throw new Error("The private storage directory must be outside rootDir");
+  }
+  const filePath = (destination, base = root) => {
+    const resolved = path.resolve(base, destination);
+    if (!resolved.startsWith(base + path.sep)) {
+      throw new Error(`Path escapes the storage directory: ${destination}`);
+    }
+    return resolved;
+  };
+  // Where `destination` is stored, or null when it isn't
+  const findFile = async (destination) => {
+    for (const base of [root, privateRoot]) {
+      const candidate = filePath(destination, base);
+      const found = await fs
+        .access(candidate)
+        .then(() => true)
+        .catch(() => false);
+      if (found) return candidate;
+    }
+    return null;
+  };
+  const publicUrl = (destination) =>
+    `${baseUrl}/files/${destination
+      .split("/")
+      .map(encodeURIComponent)
+      .join("/")}`;
+
+  return {
+    name: "local",
+
+    // Serve public files the way the bucket would serve public objects
+    mount: (app) => {
+      app.use("/files", express.static(root));
+    },
+
+    publicUrl,
+
+    pathFromUrl: (url) => {
+      const prefix = `${baseUrl}/files/`;
+      if (!url.startsWith(prefix)) return null;
+      return url
+        .slice(prefix.length)
+        .split("?")[0]
+        .split("/")
+        .map(decodeURIComponent)
+        .join("/");
+    },
+
+    upload: async (localPath, destination) => {
+      await fs.mkdir(path.dirname(filePath(destination)), { recursive: true });
+      await fs.copyFile(localPath, filePath(destination));
+      return publicUrl(destination);
+    },
+
+    // Pass public: false for internal objects (e.g. caches)
+    save: async (destination, buffer, { public: isPublic = true } = {}) => {
+      const [base, other] = isPublic
+        ? [root, privateRoot]
+        : [privateRoot, root];
+      const target = filePath(destination, base);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+      // Don't leave a copy behind with the old visibility
+      await fs.rm(filePath(destination, other), { force: true });
+      return publicUrl(destination);
+    },
+
+    read: async (destination) =>
+      fs.readFile((await findFile(destination)) || filePath(destination)),
+
+    exists: async (destination) => !!(await findFile(destination)),
+
+    delete: async (destination) => {
+      await fs.rm(filePath(destination), { force: true });
+      await fs.rm(filePath(destination, privateRoot), { force: true });
+    },
+  };
+};
+
+module.exports = {
+  createLocalStore,
+  createLocalStorage,
+};
@@ -0,0 +1,64 @@
+// In-process event bus behind GET /events (Server-Sent Events).
+//
+// Event: { id, type, collection, editorsOnly, data, at }
+//   type         "change" (a document was created, updated or deleted) or
+//                "tts" (sermon audio generation progress)
+//   collection   whose read permission a subscriber needs to receive it
+//   editorsOnly  only for subscribers who can write the collection, e.g.
+//                changes to drafts
+// Ids are "<bootId>-<sequence>". The last `bufferSize` events are kept so
+// a client reconnecting with Last-Event-ID gets what it missed; when its
+// id is from another run or already dropped, it is told to refetch.
+// Events only reach clients connected to the same server process.
+const { EventEmitter } = require("events");
+
+const createEventBus = ({ bufferSize = 1000 } = {}) => {
+  const bootId = Date.now().toString(36);
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const buffer = [];
+  let sequence = 0;
+
+  return {
+    publish: (type, collection, data, { editorsOnly = false } = {}) => {
+      const event = {
+        id: `${bootId}-${++sequence}`,
+        type,
+        collection,
+        editorsOnly,
+        data,
+        at: new Date().toISOString(),
+      };
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+      emitter.emit("event", event);
+      return event;
+    },
+
+    lastId: () => `${bootId}-${sequence}`,
+
+    // Calls `listener` with every new event; returns an unsubscribe function
+    subscribe: (listener) => {
+      emitter.on("event", listener);
+      return () => emitter.off("event", listener);
+    },
+
+    // Events after `lastEventId`, or null when they can't be replayed
+    since: (lastEventId) => {
+      const [boot, seq] = String(lastEventId).split("-");
+      const after = Number(seq);
+      if (boot !== bootId || !Number.isInteger(after) || after > sequence) {
+        return null;
+      }
+      const oldest = buffer.length ? Number(buffer[0].id.split("-")[1]) : 1;
+      if (after < oldest - 1) return null;
+      return buffer.filter((event) => Number(event.id.split("-")[1]) > after);
+    },
+  };
+};
+
+// One event in text/event-stream format
+const formatEvent = ({ id, type, data, at }) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at })}\n\n`;
+
+module.exports = { createEventBus, formatEvent };
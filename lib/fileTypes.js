@@ -0,0 +1,195 @@
+// What may be uploaded where. The file type comes from the file's first
+// bytes, never from the client's Content-Type or file name, and the stored
+// object gets that type and a matching extension, so a page or program
+// can't be served from our bucket disguised as a flyer.
+const fs = require("fs").promises;
+
+// Bytes needed to recognise every type below
+const HEAD_BYTES = 64;
+
+// mime -> extensions, the first one used when a name needs fixing
+const FILE_TYPES = {
+  "image/jpeg": ["jpg", "jpeg"],
+  "image/png": ["png"],
+  "image/gif": ["gif"],
+  "image/webp": ["webp"],
+  "image/heic": ["heic", "heif"],
+  "audio/mpeg": ["mp3"],
+  "audio/mp4": ["m4a"],
+  "audio/aac": ["aac"],
+  "audio/wav": ["wav"],
+  "audio/ogg": ["ogg", "oga"],
+  "audio/flac": ["flac"],
+  "video/mp4": ["mp4", "m4v"],
+  "video/quicktime": ["mov"],
+  "video/webm": ["webm"],
+  "video/x-matroska": ["mkv"],
+  "video/3gpp": ["3gp"],
+  "application/pdf": ["pdf"],
+};
+
+const IMAGES = Object.keys(FILE_TYPES).filter((mime) =>
+  mime.startsWith("image/")
+);
+const AUDIO = Object.keys(FILE_TYPES).filter((mime) =>
+  mime.startsWith("audio/")
+);
+const VIDEO = Object.keys(FILE_TYPES).filter((mime) =>
+  mime.startsWith("video/")
+);
+const PDF = ["application/pdf"];
+
+// Allowed types for each upload folder (see folderSizeLimits)
+const folderFileTypes = {
+  notices: [...PDF, ...IMAGES],
+  sermons: AUDIO,
+  songs: AUDIO,
+  videos: VIDEO,
+  thumbnails: IMAGES,
+  profiles: IMAGES,
+  temps: [...IMAGES, ...AUDIO, ...VIDEO, ...PDF],
+  hymns: [...PDF, ...IMAGES, ...AUDIO],
+  assets: [...IMAGES, ...PDF],
+};
+
+// Extensions a browser, web server or OS may run or render as a page when
+// they appear anywhere in a name ("flyer.php.pdf"). Ones that are also
+// common email domains (com, pl, sh, ...) are left out, since profile
+// pictures are named after their owner's email.
+const DANGEROUS_EXTENSIONS = new Set([
+  ...["html", "htm", "xhtml", "shtml", "svg", "svgz", "xml", "xsl"],
+  ...["js", "mjs", "cjs", "jsx", "swf", "hta", "php", "phtml", "asp"],
+  ...["aspx", "jsp", "cgi", "exe", "bat", "cmd", "msi", "dll", "scr"],
+  ...["pif", "ps1", "vbs", "vbe", "wsf", "jar", "apk", "lnk"],
+]);
+
+const fileNameOf = (destination) =>
+  destination.slice(destination.lastIndexOf("/") + 1);
+
+const ascii = (buffer, start, end) =>
+  buffer.subarray(start, end).toString("latin1");
+
+// ISO media (MP4 family) brand -> mime
+const ftypBrand = (brand) => {
+  if (brand.startsWith("M4A") || brand.startsWith("M4B")) return "audio/mp4";
+  if (brand === "qt  ") return "video/quicktime";
+  if (brand.startsWith("3g")) return "video/3gpp";
+  if (["heic", "heix", "hevc", "heim", "heis", "mif1", "msf1"].includes(brand))
+    return "image/heic";
+  return "video/mp4";
+};
+
+// Mime type from magic bytes, or null when unknown
+const detectFileType = (head) => {
+  if (!head || head.length < 4) return null;
+  const [b0, b1, b2, b3] = head;
+
+  if (b0 === 0xff && b1 === 0xd8 && b2 === 0xff) return "image/jpeg";
+  if (ascii(head, 0, 8) === "\x89PNG\r\n\x1a\n") return "image/png";
+  if (["GIF87a", "GIF89a"].includes(ascii(head, 0, 6))) return "image/gif";
+  if (ascii(head, 0, 4) === "RIFF") {
+    const format = ascii(head, 8, 12);
+    if (format === "WEBP") return "image/webp";
+    if (format === "WAVE") return "audio/wav";
+    return null;
+  }
+  if (ascii(head, 4, 8) === "ftyp") return ftypBrand(ascii(head, 8, 12));
+  if (ascii(head, 0, 5) === "%PDF-") return "application/pdf";
+  if (ascii(head, 0, 4) === "OggS") return "audio/ogg";
+  if (ascii(head, 0, 4) === "fLaC") return "audio/flac";
+  if (b0 === 0x1a && b1 === 0x45 && b2 === 0xdf && b3 === 0xa3) {
+    return ascii(head, 0, HEAD_BYTES).includes("webm")
+      ? "video/webm"
+      : "video/x-matroska";
+  }
+  if (ascii(head, 0, 3) === "ID3") return "audio/mpeg";
+  // MPEG audio frame sync: ADTS (AAC) has layer bits 00, MP3 doesn't
+  if (b0 === 0xff && (b1 & 0xe0) === 0xe0) {
+    if ((b1 & 0x06) === 0) return b1 & 0x10 ? "audio/aac" : null;
+    return "audio/mpeg";
+  }
+  return null;
+};
+
+const readFileHead = async (filePath) => {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Returns an error message for unsafe destination paths, or null
+const destinationProblem = (destination) => {
+  if (typeof destination !== "string" || !destination) {
+    return "Destination path is required";
+  }
+  if (destination.startsWith("/") || destination.includes("\\")) {
+    return "Destination path must be relative and use forward slashes";
+  }
+  if (/[\x00-\x1f\x7f]/.test(destination)) {
+    return "Destination path contains control characters";
+  }
+  const segments = destination.split("/");
+  if (segments.some((segment) => segment === "" || segment === ".")) {
+    return "Destination path has empty segments";
+  }
+  if (segments.includes("..") || destination.includes("..")) {
+    return "Destination path must not contain ..";
+  }
+  if (segments.length < 2) return "Destination path needs a folder";
+  // The final extension is replaced if need be; ones before it are kept
+  const inner = fileNameOf(destination).split(".").slice(1, -1);
+  const dangerous = inner.find((ext) =>
+    DANGEROUS_EXTENSIONS.has(ext.toLowerCase())
+  );
+  if (dangerous) return `File name must not contain .${dangerous}`;
+  return null;
+};
+
+// Returns an error message if `mime` may not go into `folder`, or null
+const fileTypeProblem = (folder, mime) => {
+  const allowed = folderFileTypes[folder] || [];
+  if (!mime) {
+    return `Unrecognised file type; ${folder} accepts ${allowed.join(", ")}`;
+  }
+  if (!allowed.includes(mime)) {
+    return `${mime} files can't be uploaded to ${folder}; it accepts ${allowed.join(
+      ", "
+    )}`;
+  }
+  return null;
+};
+
+// Makes the file name end in an extension of the detected type, leaving
+// the rest of the name alone. Another type's or a dangerous extension is
+// replaced, any other ending kept: "song.wav" -> "song.mp3", "photo.html"
+// -> "photo.png", "john@x.com" -> "john@x.com.jpg"
+const safeDestination = (destination, mime) => {
+  const valid = FILE_TYPES[mime];
+  const name = fileNameOf(destination);
+  const dot = name.lastIndexOf(".");
+  const ext = dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+  if (valid.includes(ext)) return destination;
+
+  const replace =
+    DANGEROUS_EXTENSIONS.has(ext) ||
+    Object.values(FILE_TYPES).some((exts) => exts.includes(ext));
+  const kept = replace
+    ? destination.slice(0, destination.length - name.length + dot)
+    : destination;
+  return `${kept}.${valid[0]}`;
+};
+
+module.exports = {
+  HEAD_BYTES,
+  folderFileTypes,
+  detectFileType,
+  readFileHead,
+  destinationProblem,
+  fileTypeProblem,
+  safeDestination,
+};
@@ -0,0 +1,229 @@
+// Whitelisted filters and sort fields for GET /api/:collection.
+//
+//   ?preacher=John              equality
+//   ?category.in=youth,midweek  one of (up to 30 values)
+//   ?date.gte=2024-01-01&date.lt=2024-02-01
+//                               ranges (gt, gte, lt, lte)
+//   ?tags=faith                 array contains
+//   ?tags.any=faith,hope        array contains any (up to 30 values)
+//   ?hasAudio=true              boolean flags mapped to a field being set
+//
+// hasAudio=false only matches documents whose field was cleared (null);
+// Firestore can't match documents where a field is missing.
+//
+// Other parameters (cache busters like ?_=123, tracking tags) are ignored,
+// unless they look like a filter: a document field, or name.op with a
+// known operator. Those are refused, so a typo doesn't quietly return the
+// unfiltered list.
+const { collectionSchemas } = require("./schemas");
+
+const RANGE_OPS = ["gt", "gte", "lt", "lte"];
+const OPERATORS = {
+  eq: "==",
+  in: "in",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+  contains: "array-contains",
+  any: "array-contains-any",
+};
+const MAX_LIST_VALUES = 30;
+
+// Query parameters that aren't filters
+const RESERVED_PARAMS = [
+  "limit",
+  "cursor",
+  "after",
+  "page",
+  "sort",
+  "order",
+  "fields",
+];
+
+const createdAt = { type: "date", ops: ["eq", ...RANGE_OPS] };
+const keyword = { type: "string", ops: ["eq", "in"] };
+const tags = { type: "string", ops: ["contains", "any"], array: true };
+// Editors only; members always get live documents (see parseListQuery)
+const status = { type: "string", ops: ["eq", "in"] };
+const publishAt = { type: "date", ops: RANGE_OPS };
+
+const listFilters = {
+  sermons: {
+    filters: {
+      category: keyword,
+      preacher: keyword,
+      scripture: { type: "string", ops: ["eq"] },
+      tags,
+      date: { type: "date", ops: ["eq", ...RANGE_OPS] },
+      createdAt,
+      status,
+      publishAt,
+    },
+    flags: { hasAudio: "ttsAudioUrl" },
+    sortable: ["createdAt", "date", "title", "updatedAt", "publishAt"],
+  },
+  songs: {
+    filters: { category: keyword, artist: keyword, tags, createdAt },
+    flags: { hasAudio: "audioUrl" },
+    sortable: ["createdAt", "title", "artist", "updatedAt"],
+  },
+  videos: {
+    filters: { category: keyword, tags, createdAt },
+    sortable: ["createdAt", "title", "updatedAt"],
+  },
+  notices: {
+    filters: { category: keyword, createdAt, status, publishAt },
+    flags: { hasImage: "imageUrl", hasAttachment: "attachmentUrl" },
+    sortable: ["createdAt", "title", "updatedAt", "publishAt"],
+  },
+  quizResources: {
+    filters: { category: keyword, createdAt },
+    sortable: ["createdAt", "title", "updatedAt"],
+  },
+  contactMessages: {
+    filters: { email: keyword, submittedBy: keyword, createdAt },
+    sortable: ["createdAt"],
+  },
+  quizHelpQuestions: {
+    filters: { topic: keyword, submittedBy: keyword, createdAt },
+    sortable: ["createdAt"],
+  },
+};
+
+const own = (object, key) => !!object && Object.hasOwn(object, key);
+
+const looksLikeFilter = (collection, name, op) =>
+  (op !== null && own(OPERATORS, op)) ||
+  own(collectionSchemas[collection], name) ||
+  (listFilters[collection]?.sortable || []).includes(name);
+
+const convertValue = (type, raw) => {
+  if (type === "date") {
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  if (type === "number") {
+    const number = Number(raw);
+    return raw === "" || Number.isNaN(number) ? undefined : number;
+  }
+  return raw;
+};
+
+// Turns query parameters into store `where` clauses.
+// Returns { where } or { error }.
+const parseFilters = (collection, query) => {
+  const spec = listFilters[collection] || { filters: {} };
+  const where = [];
+  let arrayFilters = 0;
+
+  for (const [param, rawValue] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(param)) continue;
+
+    const dot = param.lastIndexOf(".");
+    const name = dot === -1 ? param : param.slice(0, dot);
+    const isFlag = own(spec.flags, param);
+    const filter = own(spec.filters, name) ? spec.filters[name] : null;
+    if (!isFlag && !filter) {
+      if (
+        !looksLikeFilter(
+          collection,
+          name,
+          dot === -1 ? null : param.slice(dot + 1)
+        )
+      )
+        continue;
+      return {
+        error: `Unknown filter "${param}"`,
+        allowed: [
+          ...Object.keys(spec.filters),
+          ...Object.keys(spec.flags || {}),
+        ],
+      };
+    }
+
+    if (typeof rawValue !== "string") {
+      return { error: `Filter "${param}" can only be given once` };
+    }
+
+    if (isFlag) {
+      if (!["true", "false"].includes(rawValue)) {
+        return { error: `${param} must be true or false` };
+      }
+      where.push([spec.flags[param], rawValue === "true" ? "!=" : "==", null]);
+      continue;
+    }
+
+    const op = dot === -1 ? filter.ops[0] : param.slice(dot + 1);
+    if (!filter.ops.includes(op)) {
+      return {
+        error: `Filter "${name}" supports: ${filter.ops.join(", ")}`,
+      };
+    }
+
+    const isList = op === "in" || op === "any";
+    const rawValues = isList ? rawValue.split(",").map((v) => v.trim()) : [];
+    if (isList && (!rawValue || rawValues.length > MAX_LIST_VALUES)) {
+      return {
+        error: `${param} takes 1 to ${MAX_LIST_VALUES} comma-separated values`,
+      };
+    }
+
+    const values = (isList ? rawValues : [rawValue]).map((raw) =>
+      convertValue(filter.type, raw)
+    );
+    if (values.includes(undefined)) {
+      return { error: `Invalid ${filter.type} value for ${param}` };
+    }
+
+    // Firestore allows a single array-contains(-any) clause per query
+    if (filter.array && ++arrayFilters > 1) {
+      return { error: "Only one tags filter can be used at a time" };
+    }
+
+    where.push([name, OPERATORS[op], isList ? values : values[0]]);
+  }
+
+  return { where };
+};
+
+// Returns { orderBy } or { error }
+const parseSort = (collection, { sort = "createdAt", order = "desc" }) => {
+  const sortable = listFilters[collection]?.sortable || ["createdAt"];
+  if (!sortable.includes(sort)) {
+    return {
+      error: `Cannot sort by "${sort}"`,
+      allowed: sortable,
+    };
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+  return { orderBy: [[sort, order]] };
+};
+
+// Firestore rejects queries that need a composite index it doesn't have
+// (FAILED_PRECONDITION) and combinations it can't run (INVALID_ARGUMENT)
+const describeQueryError = (err) => {
+  if (err.code === 9 && /index/i.test(err.message)) {
+    const indexUrl = (err.message.match(/https:\/\/\S+/) || [null])[0];
+    return {
+      status: 400,
+      body: {
+        error:
+          "This combination of filters and sort needs a database index that hasn't been created yet",
+        code: "missing-index",
+        indexUrl,
+      },
+    };
+  }
+  if (err.code === 3) {
+    return {
+      status: 400,
+      body: { error: `Unsupported query: ${err.message}`, code: "bad-query" },
+    };
+  }
+  return null;
+};
+
+module.exports = { listFilters, parseFilters, parseSort, describeQueryError };
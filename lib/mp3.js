@@ -0,0 +1,199 @@
+// Frame-level MP3 (MPEG Layer III) parsing and merging in pure JS.
+// mergeMp3 drops per-chunk ID3/APE tags and Xing/Info/VBRI header frames,
+// concatenates the audio frames and writes a single Xing/Info header so
+// players report the right duration and can seek.
+
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+// Version bits -> MPEG version (1 is reserved)
+const VERSIONS = { 0: 2.5, 2: 2, 3: 1 };
+
+const XING_FLAGS = { frames: 0x1, bytes: 0x2, toc: 0x4 };
+
+// Parses a Layer III frame header at `offset`, or returns null
+const parseFrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+  const [b0, b1, b2, b3] = buffer.subarray(offset, offset + 4);
+  if (b0 !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+  const version = VERSIONS[(b1 >> 3) & 0x3];
+  const layerBits = (b1 >> 1) & 0x3;
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 0x3;
+  if (!version || layerBits !== 1) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (b2 >> 1) & 0x1;
+  const mono = b3 >> 6 === 3;
+  const crc = (b1 & 0x1) === 0;
+  const samples = version === 1 ? 1152 : 576;
+
+  return {
+    version,
+    bitrateIndex,
+    bitrate,
+    sampleRate,
+    mono,
+    crc,
+    samples,
+    length: Math.floor(((samples / 8) * bitrate) / sampleRate) + padding,
+    sideInfoLength: version === 1 ? (mono ? 17 : 32) : mono ? 9 : 17,
+  };
+};
+
+// Size of a leading ID3v2 tag (0 when there is none)
+const id3v2Size = (buffer) => {
+  if (buffer.length < 10 || buffer.toString("latin1", 0, 3) !== "ID3") {
+    return 0;
+  }
+  // Syncsafe integer: 7 bits per byte
+  const size =
+    (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+const isHeaderFrame = (frame, header) => {
+  const tagOffset = 4 + (header.crc ? 2 : 0) + header.sideInfoLength;
+  const tag = frame.toString("latin1", tagOffset, tagOffset + 4);
+  return (
+    tag === "Xing" ||
+    tag === "Info" ||
+    frame.toString("latin1", 36, 40) === "VBRI"
+  );
+};
+
+// Splits one MP3 file into its audio frames, skipping tags and junk
+const parseFrames = (buffer) => {
+  const frames = [];
+  let offset = id3v2Size(buffer);
+
+  while (offset < buffer.length) {
+    const header = parseFrameHeader(buffer, offset);
+    if (!header) {
+      offset += 1; // resync (also skips trailing ID3v1/APE tags)
+      continue;
+    }
+    if (offset + header.length > buffer.length) break; // truncated frame
+
+    const frame = buffer.subarray(offset, offset + header.length);
+    if (!isHeaderFrame(frame, header)) frames.push({ header, frame });
+    offset += header.length;
+  }
+
+  return frames;
+};
+
+// Builds a Xing ("Xing" for VBR, "Info" for CBR) header frame
+const buildXingFrame = (frames, audioBytes, isVbr) => {
+  const template = frames[0].header;
+  const tableIndex = template.version === 1 ? 1 : 2;
+  const contentLength = 4 + template.sideInfoLength + 4 + 4 + 4 + 4 + 100;
+
+  // Pick the smallest bitrate whose frame can hold the tag
+  let bitrateIndex = template.bitrateIndex;
+  const frameLength = (index) =>
+    Math.floor(
+      ((template.samples / 8) * BITRATES[tableIndex][index] * 1000) /
+        template.sampleRate
+    );
+  while (bitrateIndex < 14 && frameLength(bitrateIndex) < contentLength) {
+    bitrateIndex++;
+  }
+
+  const frame = Buffer.alloc(frameLength(bitrateIndex));
+  frames[0].frame.copy(frame, 0, 0, 4);
+  frame[1] |= 0x01; // no CRC
+  frame[2] = (bitrateIndex << 4) | (frame[2] & 0x0c); // keep sample rate
+
+  const totalBytes = frame.length + audioBytes;
+  let offset = 4 + template.sideInfoLength;
+  offset += frame.write(isVbr ? "Xing" : "Info", offset, "latin1");
+  offset = frame.writeUInt32BE(
+    XING_FLAGS.frames | XING_FLAGS.bytes | XING_FLAGS.toc,
+    offset
+  );
+  offset = frame.writeUInt32BE(frames.length, offset);
+  offset = frame.writeUInt32BE(totalBytes, offset);
+
+  // Seek table: byte position (out of 256) for each percent of duration
+  const duration = frames.reduce(
+    (sum, { header }) => sum + header.samples / header.sampleRate,
+    0
+  );
+  let time = 0;
+  let position = frame.length;
+  let frameIndex = 0;
+  for (let percent = 0; percent < 100; percent++) {
+    const target = (duration * percent) / 100;
+    while (frameIndex < frames.length && time < target) {
+      const { header } = frames[frameIndex];
+      time += header.samples / header.sampleRate;
+      position += header.length;
+      frameIndex++;
+    }
+    frame[offset + percent] = Math.min(
+      255,
+      Math.floor((position / totalBytes) * 256)
+    );
+  }
+
+  return frame;
+};
+
+// Merges MP3 buffers into one file.
+// Returns { buffer, duration, offsets } with times in seconds; offsets[i]
+// is where chunk i starts in the merged audio.
+const mergeMp3 = (buffers) => {
+  const allFrames = [];
+  const offsets = [];
+  let duration = 0;
+
+  for (const buffer of buffers) {
+    offsets.push(duration);
+    for (const entry of parseFrames(buffer)) {
+      const first = allFrames[0]?.header;
+      if (
+        first &&
+        (entry.header.sampleRate !== first.sampleRate ||
+          entry.header.mono !== first.mono)
+      ) {
+        throw new Error(
+          "Cannot merge MP3 chunks with different sample rates or channels"
+        );
+      }
+      allFrames.push(entry);
+      duration += entry.header.samples / entry.header.sampleRate;
+    }
+  }
+
+  if (!allFrames.length) {
+    throw new Error("No MP3 audio frames found in chunks");
+  }
+
+  const isVbr = allFrames.some(
+    ({ header }) => header.bitrate !== allFrames[0].header.bitrate
+  );
+  const audio = Buffer.concat(allFrames.map(({ frame }) => frame));
+  const xingFrame = buildXingFrame(allFrames, audio.length, isVbr);
+
+  const toMillis = (seconds) => Math.round(seconds * 1000) / 1000;
+  return {
+    buffer: Buffer.concat([xingFrame, audio]),
+    duration: toMillis(duration),
+    offsets: offsets.map(toMillis),
+  };
+};
+
+module.exports = { parseFrameHeader, parseFrames, mergeMp3 };
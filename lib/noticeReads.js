@@ -0,0 +1,88 @@
+// Which notices each member has read, kept per user in
+// `users/<email>/readNotices/<noticeId>`: { readAt }
+// Unread counts only consider notices that are live (lib/publishing.js),
+// so drafts, scheduled and expired notices never show up in the badge.
+
+const readNoticesPath = (email) => `users/${email}/readNotices`;
+
+const MAX_BULK_IDS = 100;
+
+const createNoticeReads = ({ store }) => {
+  const liveNoticeIds = async () => {
+    const notices = await store.query("notices", {
+      where: [["live", "==", true]],
+    });
+    return notices.map(({ id }) => id);
+  };
+
+  const readIds = async (email) => {
+    const reads = await store.query(readNoticesPath(email));
+    return new Set(reads.map(({ id }) => id));
+  };
+
+  return {
+    // [{ noticeId, readAt }] for everything the member has read
+    list: async (email) => {
+      const reads = await store.query(readNoticesPath(email));
+      return reads.map(({ id, data }) => ({
+        noticeId: id,
+        readAt: data.readAt,
+      }));
+    },
+
+    // Set of the given notice ids that the member has read
+    readAmong: async (email, noticeIds) => {
+      const reads = await Promise.all(
+        noticeIds.map((id) => store.get(readNoticesPath(email), id))
+      );
+      return new Set(reads.filter(Boolean).map(({ id }) => id));
+    },
+
+    // Marks notices as read, skipping ids that aren't notices; resolves to
+    // the ids marked
+    markRead: async (email, noticeIds) => {
+      const marked = [];
+      for (const noticeId of noticeIds) {
+        if (!(await store.get("notices", noticeId))) continue;
+        await store.set(
+          readNoticesPath(email),
+          noticeId,
+          { readAt: new Date() },
+          { merge: true }
+        );
+        marked.push(noticeId);
+      }
+      return marked;
+    },
+
+    // Marks every live notice the member hasn't read yet; resolves to the
+    // number marked
+    markAllRead: async (email) => {
+      const read = await readIds(email);
+      const unread = (await liveNoticeIds()).filter((id) => !read.has(id));
+      const readAt = new Date();
+      for (const noticeId of unread) {
+        await store.set(readNoticesPath(email), noticeId, { readAt });
+      }
+      return unread.length;
+    },
+
+    // Resolves to false if the notice wasn't marked read
+    markUnread: async (email, noticeId) => {
+      if (!(await store.get(readNoticesPath(email), noticeId))) return false;
+      await store.delete(readNoticesPath(email), noticeId);
+      return true;
+    },
+
+    unreadCount: async (email) => {
+      const read = await readIds(email);
+      const live = await liveNoticeIds();
+      return {
+        unreadCount: live.filter((id) => !read.has(id)).length,
+        total: live.length,
+      };
+    },
+  };
+};
+
+module.exports = { MAX_BULK_IDS, createNoticeReads };
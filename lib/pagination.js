@@ -0,0 +1,143 @@
+// One list implementation for every collection: keyset pagination with
+// opaque, signed cursors.
+//
+// A cursor token is "<payload>.<signature>" (both base64url); the payload
+// holds the sort values and id of the document to continue from, the
+// direction ("next" or "prev") and a hash of the query it belongs to, so a
+// cursor can't be replayed against other filters or sort order. Ties on
+// the sort field are broken by document id. Pages are fetched with one
+// extra document so `hasMore` is exact, and totals use aggregation counts.
+const crypto = require("crypto");
+
+const getField = (data, field) =>
+  field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+// Dates and Firestore Timestamps survive the JSON round trip; Timestamps
+// keep their nanoseconds, so documents written in the same millisecond
+// aren't repeated or skipped across pages
+const encodeValue = (value) => {
+  if (value?.toMillis) return { $ts: [value.seconds, value.nanoseconds] };
+  if (value instanceof Date) return { $date: value.getTime() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value, timestamp) => {
+  if (!value || typeof value !== "object") return value;
+  if ("$ts" in value) return timestamp(...value.$ts);
+  if ("$date" in value) return new Date(value.$date);
+  return value;
+};
+
+const queryKey = ({ collection, where, orderBy }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ collection, where, orderBy }))
+    .digest("base64url")
+    .slice(0, 16);
+
+// Values to continue after `doc`: the orderBy fields, then the id
+const cursorValues = ({ id, data }, orderBy) => [
+  ...orderBy.map(([field]) => getField(data, field)),
+  id,
+];
+
+// `timestamp(seconds, nanoseconds)` rebuilds Timestamps for the store
+const createCursorCodec = (
+  secret,
+  {
+    timestamp = (seconds, nanoseconds) =>
+      new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6)),
+  } = {}
+) => {
+  const sign = (payload) =>
+    crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+  return {
+    encode: (key, direction, values) => {
+      const payload = Buffer.from(
+        JSON.stringify({ k: key, d: direction, v: values.map(encodeValue) })
+      ).toString("base64url");
+      return `${payload}.${sign(payload)}`;
+    },
+
+    // Resolves to { direction, values }, or null when the token is
+    // malformed, tampered with or belongs to another query
+    decode: (token, key) => {
+      if (typeof token !== "string") return null;
+      const [payload, signature] = token.split(".");
+      if (!payload || !signature) return null;
+
+      const expected = sign(payload);
+      if (
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      ) {
+        return null;
+      }
+
+      try {
+        const { k, d, v } = JSON.parse(
+          Buffer.from(payload, "base64url").toString("utf8")
+        );
+        if (k !== key || !["next", "prev"].includes(d) || !Array.isArray(v)) {
+          return null;
+        }
+        return {
+          direction: d,
+          values: v.map((value) => decodeValue(value, timestamp)),
+        };
+      } catch (err) {
+        return null;
+      }
+    },
+  };
+};
+
+const reverseOrder = (orderBy) =>
+  orderBy.map(([field, direction = "asc"]) => [
+    field,
+    direction === "desc" ? "asc" : "desc",
+  ]);
+
+// Fetches one page. `cursor` is a decoded cursor; `offset` is only used
+// without one (page-number clients).
+// Resolves to { docs, hasMore, hasPrevious, totalCount }.
+const fetchPage = async (
+  store,
+  collection,
+  { where = [], orderBy, limit, cursor = null, offset = 0 }
+) => {
+  const backwards = cursor?.direction === "prev";
+  const [results, totalCount] = await Promise.all([
+    store.query(collection, {
+      where,
+      orderBy: backwards ? reverseOrder(orderBy) : orderBy,
+      startAfter: cursor?.values,
+      offset: cursor ? 0 : offset,
+      limit: limit + 1,
+    }),
+    // Ordering skips documents without the sort field; so does the count
+    store.count(collection, { where, orderBy }),
+  ]);
+
+  const hasExtra = results.length > limit;
+  const docs = results.slice(0, limit);
+  if (backwards) docs.reverse();
+
+  return {
+    docs,
+    // Paging back always leaves the page we came from ahead of us
+    hasMore: backwards ? docs.length > 0 : hasExtra,
+    hasPrevious: backwards ? hasExtra : !!cursor || offset > 0,
+    totalCount,
+  };
+};
+
+module.exports = {
+  queryKey,
+  cursorValues,
+  createCursorCodec,
+  fetchPage,
+};
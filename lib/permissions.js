@@ -0,0 +1,101 @@
+// Roles and the permissions they grant.
+//
+// Roles are stored per user in `users/{email}.roles`. Permissions are
+// strings checked by the routes:
+//   write:<collection>   create, update and delete documents
+//   upload:<folder>      upload files under <folder>/
+//   tts:generate         generate, regenerate and delete sermon audio
+//   users:manage         grant/revoke roles, end other users' sessions
+//   search:manage        rebuild the search index
+//   audit:read           query the audit log
+// "*" grants everything.
+//
+// Emails listed in the old `admins` collection keep full access as
+// super-admins until roles are set on their user document.
+
+const ROLES = {
+  "super-admin": {
+    description: "Full access, including managing roles",
+    permissions: ["*"],
+  },
+  "sermon-editor": {
+    description: "Sermons, their audio and artwork",
+    permissions: [
+      "write:sermons",
+      "upload:sermons",
+      "upload:thumbnails",
+      "upload:temps",
+      "tts:generate",
+    ],
+  },
+  "music-editor": {
+    description: "Songs and hymn uploads",
+    permissions: [
+      "write:songs",
+      "upload:songs",
+      "upload:hymns",
+      "upload:thumbnails",
+      "upload:temps",
+    ],
+  },
+  "video-editor": {
+    description: "Videos",
+    permissions: [
+      "write:videos",
+      "upload:videos",
+      "upload:thumbnails",
+      "upload:temps",
+    ],
+  },
+  "notice-editor": {
+    description: "Notices",
+    permissions: [
+      "write:notices",
+      "upload:notices",
+      "upload:thumbnails",
+      "upload:temps",
+    ],
+  },
+  "quiz-editor": {
+    description: "Quiz resources and help questions",
+    permissions: [
+      "write:quizResources",
+      "write:quizHelpQuestions",
+      "upload:assets",
+      "upload:temps",
+    ],
+  },
+  moderator: {
+    description: "Contact messages",
+    permissions: ["write:contactMessages"],
+  },
+};
+
+const isRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+const permissionsFor = (roles) => {
+  const permissions = new Set();
+  for (const role of roles) {
+    for (const permission of ROLES[role]?.permissions || []) {
+      permissions.add(permission);
+    }
+  }
+  return permissions;
+};
+
+const hasPermission = (permissions, permission) =>
+  permissions.has("*") || permissions.has(permission);
+
+// Resolves a user's roles from their user document and the legacy
+// admins collection
+const loadRoles = async (store, email) => {
+  const [userDoc, adminDoc] = await Promise.all([
+    store.get("users", email),
+    store.get("admins", email),
+  ]);
+  const roles = userDoc?.data.roles;
+  if (!Array.isArray(roles)) return adminDoc ? ["super-admin"] : [];
+  return roles.filter(isRole);
+};
+
+module.exports = { ROLES, isRole, permissionsFor, hasPermission, loadRoles };
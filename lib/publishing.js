@@ -0,0 +1,137 @@
+// Draft and scheduled publishing for sermons and notices. Documents carry
+//   { status, publishAt, expiresAt, live }
+//   status     draft | published | archived (missing means published)
+//   publishAt  when a published document appears (defaults to creation)
+//   expiresAt  when it drops off again; null keeps it up
+//   live       server-managed: whether members can see it right now
+// `live` is what member reads filter on, since Firestore can't combine
+// status and two time ranges in one query. Writes set it, and a periodic
+// sweep flips it when publishAt or expiresAt passes. The `live` queries
+// need the composite indexes in firestore.indexes.json.
+const scheduledCollections = ["sermons", "notices"];
+
+// The backfill runs once; this document records that it finished
+const MIGRATIONS_COLLECTION = "migrations";
+const BACKFILL_ID = "publishing-live";
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+// Whether a document is visible to members at `now`
+const isLive = (data, now = Date.now()) => {
+  if ((data.status || "published") !== "published") return false;
+  const publishAt = toMillis(data.publishAt);
+  const expiresAt = toMillis(data.expiresAt);
+  return (
+    (publishAt === null || publishAt <= now) &&
+    (expiresAt === null || expiresAt > now)
+  );
+};
+
+// Returns an error message, or null when the schedule makes sense
+const scheduleProblem = (data) => {
+  const publishAt = toMillis(data.publishAt);
+  const expiresAt = toMillis(data.expiresAt);
+  if (publishAt !== null && expiresAt !== null && expiresAt <= publishAt) {
+    return "expiresAt must be after publishAt";
+  }
+  return null;
+};
+
+// Fields to store with a write, given the document as it will be
+const publishingFields = (data, { creating = false } = {}) => {
+  const fields = { live: isLive(data) };
+  if (creating) {
+    if (!data.status) fields.status = "published";
+    if (!data.publishAt) fields.publishAt = data.createdAt || new Date();
+  }
+  return fields;
+};
+
+const createPublisher = ({
+  store,
+  onChange = async () => {}, // (collection, docId, live) after a flip
+}) => {
+  const setLive = async (collection, { id }, live) => {
+    await store.update(collection, id, { live });
+    await onChange(collection, id, live);
+  };
+
+  return {
+    // Flips `live` on documents whose publishAt or expiresAt has passed;
+    // resolves to the number of documents changed
+    sweep: async () => {
+      const now = new Date();
+      let changed = 0;
+      for (const collection of scheduledCollections) {
+        const due = await store.query(collection, {
+          where: [
+            ["live", "==", false],
+            ["status", "==", "published"],
+            ["publishAt", "<=", now],
+          ],
+        });
+        for (const doc of due) {
+          if (!isLive(doc.data, now.getTime())) continue; // already expired
+          await setLive(collection, doc, true);
+          changed++;
+        }
+
+        const expired = await store.query(collection, {
+          where: [
+            ["live", "==", true],
+            ["expiresAt", "<=", now],
+          ],
+        });
+        for (const doc of expired) {
+          await setLive(collection, doc, false);
+          changed++;
+        }
+      }
+      return changed;
+    },
+
+    // Gives documents written before publishing existed a status,
+    // publishAt and live flag; resolves to the number updated. Firestore
+    // can't query for a missing field, so this scans everything once and
+    // then leaves a flag; delete migrations/publishing-live to run it again
+    // (e.g. after importing documents outside the API).
+    backfill: async () => {
+      if (await store.get(MIGRATIONS_COLLECTION, BACKFILL_ID)) return 0;
+      let updated = 0;
+      for (const collection of scheduledCollections) {
+        let after = null;
+        for (;;) {
+          const batch = await store.query(collection, {
+            limit: 200,
+            ...(after ? { after } : {}),
+          });
+          for (const { id, data } of batch) {
+            if (data.live !== undefined) continue;
+            const fields = publishingFields(data, { creating: true });
+            await store.update(collection, id, fields);
+            updated++;
+          }
+          if (batch.length < 200) break;
+          after = batch[batch.length - 1].id;
+        }
+      }
+      await store.set(MIGRATIONS_COLLECTION, BACKFILL_ID, {
+        completedAt: new Date(),
+        updated,
+      });
+      return updated;
+    },
+  };
+};
+
+module.exports = {
+  scheduledCollections,
+  isLive,
+  scheduleProblem,
+  publishingFields,
+  createPublisher,
+};
@@ -0,0 +1,51 @@
+// Firebase Cloud Messaging through firebase-admin. Uses the app the
+// Firebase backend initialized, or initializes one from the service
+// account when documents are stored elsewhere.
+const admin = require("firebase-admin");
+
+// At most this many tokens per multicast request
+const MAX_TOKENS_PER_REQUEST = 500;
+
+// Errors meaning the token will never work again
+const INVALID_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+const createFcmProvider = ({ serviceAccountPath }) => {
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(require(serviceAccountPath)),
+    });
+  }
+  const messaging = admin.messaging();
+
+  return {
+    name: "fcm",
+
+    send: async (tokens, { title, body, data = {} }) => {
+      const results = [];
+      for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_REQUEST) {
+        const batch = tokens.slice(i, i + MAX_TOKENS_PER_REQUEST);
+        const response = await messaging.sendEachForMulticast({
+          tokens: batch,
+          notification: { title, body },
+          // FCM data values must be strings
+          data: Object.fromEntries(
+            Object.entries(data).map(([key, value]) => [key, String(value)])
+          ),
+        });
+        response.responses.forEach(({ success, error }, index) => {
+          results.push({
+            token: batch[index],
+            ok: success,
+            invalid: !success && INVALID_TOKEN_CODES.includes(error?.code),
+          });
+        });
+      }
+      return results;
+    },
+  };
+};
+
+module.exports = { createFcmProvider };
@@ -0,0 +1,211 @@
+// Push notifications: device registration, topic subscriptions and the
+// fan-out when a notice or sermon is published.
+//
+//   PUSH_PROVIDER=fcm    Firebase Cloud Messaging
+//   PUSH_PROVIDER=local  logs messages instead of sending them
+// Defaults to local with DATA_BACKEND=local, fcm otherwise.
+//
+// A provider is { name, send(tokens, { title, body, data }) } resolving to
+// [{ token, ok, invalid }]; invalid tokens are deleted.
+//
+// Devices live in `pushDevices` (id: hash of the token) so one query finds
+// every device subscribed to a topic:
+//   { email, token, platform, topics, createdAt, lastSeenAt }
+// A user's chosen topics are kept on the user as `pushTopics` and copied
+// to each of their devices.
+const crypto = require("crypto");
+const path = require("path");
+const { createFcmProvider } = require("./fcm");
+const { createLocalProvider } = require("./local");
+
+const DEVICES_COLLECTION = "pushDevices";
+
+// topic -> what it covers; youth and choir follow notice categories
+const PUSH_TOPICS = {
+  notices: "All notices",
+  youth: "Youth notices",
+  choir: "Choir notices",
+  sermons: "New sermons",
+};
+const DEFAULT_TOPICS = ["notices", "sermons"];
+const PLATFORMS = ["android", "ios", "web"];
+const MAX_TOKEN_LENGTH = 4096;
+const BODY_LENGTH = 140;
+
+const createProvider = (env) => {
+  const name =
+    env.PUSH_PROVIDER || (env.DATA_BACKEND === "local" ? "local" : "fcm");
+  if (name === "fcm") {
+    return createFcmProvider({
+      serviceAccountPath:
+        env.FIREBASE_SERVICE_ACCOUNT ||
+        path.join(__dirname, "..", "..", "serviceAccountKey.json"),
+    });
+  }
+  if (name === "local") return createLocalProvider();
+  throw new Error(`Unknown PUSH_PROVIDER "${name}"`);
+};
+
+const deviceId = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const excerpt = (text = "") => {
+  const flat = String(text)
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return flat.length > BODY_LENGTH
+    ? `${flat.slice(0, BODY_LENGTH - 1)}…`
+    : flat;
+};
+
+// { topics, message } for a newly published document, or null
+const announcementFor = (collection, docId, data) => {
+  if (collection === "notices") {
+    return {
+      topics: [
+        "notices",
+        ...(PUSH_TOPICS[data.category] ? [data.category] : []),
+      ],
+      message: {
+        title: data.title,
+        body: excerpt(data.content),
+        data: { type: "notice", id: docId },
+      },
+    };
+  }
+  if (collection === "sermons") {
+    return {
+      topics: ["sermons"],
+      message: {
+        title: `New sermon: ${data.title}`,
+        body:
+          [data.preacher, data.scripture].filter(Boolean).join(" · ") ||
+          excerpt(data.content),
+        data: { type: "sermon", id: docId },
+      },
+    };
+  }
+  return null;
+};
+
+const createPushNotifier = ({ store, env = process.env }) => {
+  const provider = createProvider(env);
+  console.log(`Push provider: ${provider.name}`);
+
+  const topicsOf = async (email) => {
+    const userDoc = await store.get("users", email);
+    const topics = userDoc?.data.pushTopics;
+    return Array.isArray(topics) ? topics : DEFAULT_TOPICS;
+  };
+
+  const devicesOf = (email) =>
+    store.query(DEVICES_COLLECTION, { where: [["email", "==", email]] });
+
+  // Sends to every device on any of `topics`; resolves to { sent, removed }
+  const sendToTopics = async (topics, message) => {
+    let sent = 0;
+    let removed = 0;
+    let after = null;
+    for (;;) {
+      const devices = await store.query(DEVICES_COLLECTION, {
+        where: [["topics", "array-contains-any", topics]],
+        limit: 500,
+        ...(after ? { after } : {}),
+      });
+      if (devices.length) {
+        const results = await provider.send(
+          devices.map(({ data }) => data.token),
+          message
+        );
+        for (const { token, ok, invalid } of results) {
+          if (ok) sent++;
+          if (invalid) {
+            await store.delete(DEVICES_COLLECTION, deviceId(token));
+            removed++;
+          }
+        }
+      }
+      if (devices.length < 500) return { sent, removed };
+      after = devices[devices.length - 1].id;
+    }
+  };
+
+  return {
+    provider: provider.name,
+
+    // Adds or refreshes a device; a token moves to whoever registers it last
+    registerDevice: async (email, token, platform = null) => {
+      const id = deviceId(token);
+      const existing = await store.get(DEVICES_COLLECTION, id);
+      const now = new Date();
+      await store.set(DEVICES_COLLECTION, id, {
+        email,
+        token,
+        platform,
+        topics: await topicsOf(email),
+        createdAt:
+          existing?.data.email === email ? existing.data.createdAt : now,
+        lastSeenAt: now,
+      });
+      return id;
+    },
+
+    // Resolves to false if the token isn't registered to this user
+    unregisterDevice: async (email, token) => {
+      const id = deviceId(token);
+      const existing = await store.get(DEVICES_COLLECTION, id);
+      if (!existing || existing.data.email !== email) return false;
+      await store.delete(DEVICES_COLLECTION, id);
+      return true;
+    },
+
+    listDevices: async (email) =>
+      (await devicesOf(email)).map(({ id, data }) => ({
+        id,
+        platform: data.platform,
+        createdAt: data.createdAt,
+        lastSeenAt: data.lastSeenAt,
+      })),
+
+    getTopics: topicsOf,
+
+    setTopics: async (email, topics) => {
+      await store.set("users", email, { pushTopics: topics }, { merge: true });
+      for (const { id } of await devicesOf(email)) {
+        await store.update(DEVICES_COLLECTION, id, { topics });
+      }
+    },
+
+    // Announces a document that just went live, once. Never throws;
+    // resolves to { sent, removed } or null when nothing was sent.
+    notifyPublished: async (collection, docId) => {
+      try {
+        const doc = await store.get(collection, docId);
+        if (!doc || !doc.data.live || doc.data.notifiedAt) return null;
+        const announcement = announcementFor(collection, docId, doc.data);
+        if (!announcement) return null;
+
+        await store.update(collection, docId, { notifiedAt: new Date() });
+        const result = await sendToTopics(
+          announcement.topics,
+          announcement.message
+        );
+        console.log(
+          `Push for ${collection}/${docId}: ${result.sent} sent, ${result.removed} invalid token(s) removed`
+        );
+        return result;
+      } catch (err) {
+        console.error(`Push for ${collection}/${docId} failed:`, err);
+        return null;
+      }
+    },
+  };
+};
+
+module.exports = {
+  PUSH_TOPICS,
+  PLATFORMS,
+  MAX_TOKEN_LENGTH,
+  createPushNotifier,
+};
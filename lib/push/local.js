@@ -0,0 +1,20 @@
+// Offline push stand-in for development and tests: logs each message
+// instead of sending it. Tokens starting with "invalid" are reported as
+// unregistered, so token cleanup can be exercised without FCM.
+const createLocalProvider = () => ({
+  name: "local",
+
+  send: async (tokens, { title, body, data }) => {
+    console.log(
+      `Push to ${tokens.length} device(s): ${title} - ${body}`,
+      JSON.stringify(data)
+    );
+    return tokens.map((token) => ({
+      token,
+      ok: !token.startsWith("invalid"),
+      invalid: token.startsWith("invalid"),
+    }));
+  },
+});
+
+module.exports = { createLocalProvider };
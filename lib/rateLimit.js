@@ -0,0 +1,256 @@
+// Rate limiting with token buckets, kept in a swappable counter store:
+//   { get(key), set(key, value, ttlMs), delete(key) }
+//
+//   RATE_LIMIT_STORE=memory (default)  per-process Map
+//   RATE_LIMIT_STORE=shared            `rateLimits` collection of the data
+//                                      store, shared by every instance
+//
+// A policy limits a route group per IP and, once the caller is known, per
+// user. Each limit is { capacity, perMinute }: bursts of up to `capacity`
+// requests, refilled at `perMinute` tokens a minute.
+
+const RATE_LIMIT_COLLECTION = "rateLimits";
+
+const rateLimitPolicies = {
+  auth: { ip: { capacity: 20, perMinute: 10 } },
+  tts: {
+    ip: { capacity: 30, perMinute: 10 },
+    user: { capacity: 20, perMinute: 5 },
+  },
+  upload: {
+    ip: { capacity: 30, perMinute: 10 },
+    user: { capacity: 20, perMinute: 10 },
+  },
+  // Parts of a resumable upload (one file is many requests)
+  uploadParts: {
+    ip: { capacity: 120, perMinute: 60 },
+    user: { capacity: 100, perMinute: 60 },
+  },
+  reads: {
+    ip: { capacity: 300, perMinute: 300 },
+    user: { capacity: 120, perMinute: 120 },
+  },
+};
+
+// --- Counter stores ---
+
+const createMemoryCounterStore = () => {
+  const entries = new Map();
+
+  // Drop expired entries now and then so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, 60000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+// Document ids can't contain "/"
+const createSharedCounterStore = (store) => {
+  const docId = (key) => encodeURIComponent(key);
+
+  return {
+    name: "shared",
+    get: async (key) => {
+      const doc = await store.get(RATE_LIMIT_COLLECTION, docId(key));
+      if (!doc || doc.data.expiresAt <= Date.now()) return null;
+      return doc.data.value;
+    },
+    set: async (key, value, ttlMs) => {
+      await store.set(RATE_LIMIT_COLLECTION, docId(key), {
+        value,
+        expiresAt: Date.now() + ttlMs,
+      });
+    },
+    delete: async (key) => {
+      await store.delete(RATE_LIMIT_COLLECTION, docId(key));
+    },
+  };
+};
+
+const createCounterStore = (store, env = process.env) => {
+  const name = env.RATE_LIMIT_STORE || "memory";
+  if (name === "memory") return createMemoryCounterStore();
+  if (name === "shared") return createSharedCounterStore(store);
+  throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+};
+
+// --- Token buckets ---
+
+// Takes one token; resolves to { allowed, retryAfter } (seconds)
+const takeToken = async (counters, key, { capacity, perMinute }) => {
+  const now = Date.now();
+  const state = (await counters.get(key)) || {
+    tokens: capacity,
+    updatedAt: now,
+  };
+  const tokens = Math.min(
+    capacity,
+    state.tokens + ((now - state.updatedAt) / 60000) * perMinute
+  );
+
+  if (tokens < 1) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil(((1 - tokens) / perMinute) * 60),
+    };
+  }
+
+  // Kept until the bucket would be full again
+  const ttlMs = Math.ceil(((capacity - tokens + 1) / perMinute) * 60000);
+  await counters.set(key, { tokens: tokens - 1, updatedAt: now }, ttlMs);
+  return { allowed: true, retryAfter: 0 };
+};
+
+const sendTooManyRequests = (res, retryAfter, error) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+const createRateLimiter = ({ counters, policies = rateLimitPolicies }) => {
+  // Middleware for a route group; put it after `authenticate` to also
+  // limit per user
+  const limit = (group) => {
+    const policy = policies[group];
+    if (!policy) throw new Error(`Unknown rate limit policy "${group}"`);
+
+    return async (req, res, next) => {
+      const checks = [[`${group}:ip:${req.ip}`, policy.ip]];
+      if (policy.user && req.user?.email) {
+        checks.push([`${group}:user:${req.user.email}`, policy.user]);
+      }
+
+      try {
+        for (const [key, bucket] of checks) {
+          if (!bucket) continue;
+          const { allowed, retryAfter } = await takeToken(
+            counters,
+            key,
+            bucket
+          );
+          if (!allowed) {
+            return sendTooManyRequests(
+              res,
+              retryAfter,
+              "Too many requests, please slow down"
+            );
+          }
+        }
+      } catch (err) {
+        // Never lock everyone out because the counter store is down
+        console.error("Rate limit check failed:", err);
+      }
+      next();
+    };
+  };
+
+  return { limit };
+};
+
+// --- Login lockout ---
+
+// Locks logins to an account from one IP for `lockMinutes` after
+// `maxFailures` failed logins from that IP within `windowMinutes`. Counting
+// per account and IP means someone guessing elsewhere can't lock the owner
+// out; guessing across many accounts is slowed by the `auth` policy.
+//
+// Guesses spread over many IPs are caught per account instead: from
+// `accountMaxFailures` failures within `accountWindowMinutes`, every further
+// failure doubles the wait before the next attempt from anywhere, up to
+// `maxDelaySeconds`. That slows the guessing without ever locking the owner
+// out for long.
+const createLoginGuard = ({
+  counters,
+  maxFailures = 5,
+  windowMinutes = 15,
+  lockMinutes = 15,
+  accountMaxFailures = 20,
+  accountWindowMinutes = 60,
+  maxDelaySeconds = 60,
+}) => {
+  const key = (email, ip) => `login-failures:${email}:${ip}`;
+  const accountKey = (email) => `login-failures:${email}`;
+
+  const secondsUntil = (time) =>
+    time ? Math.max(0, Math.ceil((time - Date.now()) / 1000)) : 0;
+
+  const recordAccountFailure = async (email) => {
+    const state = (await counters.get(accountKey(email))) || { failures: 0 };
+    const failures = state.failures + 1;
+    const over = failures - accountMaxFailures;
+    const delaySeconds =
+      over >= 0 ? Math.min(maxDelaySeconds, 2 ** Math.min(over, 30)) : 0;
+    await counters.set(
+      accountKey(email),
+      {
+        failures,
+        retryAt: delaySeconds ? Date.now() + delaySeconds * 1000 : null,
+      },
+      accountWindowMinutes * 60000
+    );
+    if (over === 0)
+      console.warn(
+        `Login attempts for ${email} slowed after ${failures} failures`
+      );
+  };
+
+  return {
+    // Seconds before `ip` may try the account again (0 when it may now)
+    lockedFor: async (email, ip) => {
+      const state = await counters.get(key(email, ip));
+      const account = await counters.get(accountKey(email));
+      return Math.max(
+        secondsUntil(state?.lockedUntil),
+        secondsUntil(account?.retryAt)
+      );
+    },
+
+    recordFailure: async (email, ip) => {
+      const state = (await counters.get(key(email, ip))) || { failures: 0 };
+      const failures = state.failures + 1;
+      const locked = failures >= maxFailures;
+      const ttlMs = (locked ? lockMinutes : windowMinutes) * 60000;
+      await counters.set(
+        key(email, ip),
+        { failures, lockedUntil: locked ? Date.now() + ttlMs : null },
+        ttlMs
+      );
+      if (locked)
+        console.warn(
+          `Login locked for ${email} from ${ip} after ${failures} failures`
+        );
+      await recordAccountFailure(email);
+    },
+
+    // After a successful login or password reset
+    reset: async (email, ip) => {
+      await counters.delete(key(email, ip));
+      await counters.delete(accountKey(email));
+    },
+  };
+};
+
+module.exports = {
+  rateLimitPolicies,
+  createCounterStore,
+  createRateLimiter,
+  createLoginGuard,
+  sendTooManyRequests,
+};
@@ -0,0 +1,72 @@
+// Read policies for the generic GET /api/:collection routes. Collections
+// not listed here (users, admins, sessions, ...) can't be read through them.
+//
+//   permission    needed to read at all; null means any signed-in member
+//   hiddenFields  left out for readers who can't write the collection
+// Who created or last edited a document
+const EDITOR_FIELDS = ["uploadedBy", "updatedBy"];
+// Publishing state (lib/publishing.js) and push bookkeeping; members only
+// ever see live documents
+const PUBLISHING_FIELDS = ["status", "live", "notifiedAt"];
+
+const readPolicies = {
+  sermons: {
+    permission: null,
+    hiddenFields: [...EDITOR_FIELDS, ...PUBLISHING_FIELDS],
+  },
+  songs: { permission: null, hiddenFields: EDITOR_FIELDS },
+  videos: { permission: null, hiddenFields: EDITOR_FIELDS },
+  notices: {
+    permission: null,
+    hiddenFields: [...EDITOR_FIELDS, ...PUBLISHING_FIELDS],
+  },
+  quizResources: { permission: null, hiddenFields: EDITOR_FIELDS },
+  // Members' names and email addresses
+  contactMessages: { permission: "write:contactMessages", hiddenFields: [] },
+  quizHelpQuestions: {
+    permission: "write:quizHelpQuestions",
+    hiddenFields: [],
+  },
+};
+
+// The policy for a collection, or null when it can't be read
+const policyFor = (collection) =>
+  Object.hasOwn(readPolicies, collection) ? readPolicies[collection] : null;
+
+const MAX_PROJECTED_FIELDS = 50;
+
+// Parses `fields=title,preacher,date` into a list of top-level field names.
+// Returns null when no projection was asked for, or { error }.
+const parseFields = (param) => {
+  if (param === undefined || param === "") return null;
+  if (typeof param !== "string") return { error: "fields must be a string" };
+
+  const fields = [
+    ...new Set(
+      param
+        .split(",")
+        .map((field) => field.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (fields.length > MAX_PROJECTED_FIELDS) {
+    return { error: `fields can list at most ${MAX_PROJECTED_FIELDS} names` };
+  }
+  const invalid = fields.find((field) => !/^[A-Za-z_][\w]*$/.test(field));
+  if (invalid) return { error: `Invalid field name "${invalid}"` };
+  return fields;
+};
+
+// Applies hidden fields and the projection to a response document.
+// `id` is always kept.
+const projectDocument = (doc, { hiddenFields = [], fields = null }) => {
+  const result = { id: doc.id };
+  for (const [field, value] of Object.entries(doc)) {
+    if (field === "id" || hiddenFields.includes(field)) continue;
+    if (fields && !fields.includes(field)) continue;
+    result[field] = value;
+  }
+  return result;
+};
+
+module.exports = { readPolicies, policyFor, parseFields, projectDocument };
@@ -0,0 +1,199 @@
+// Declared schemas for the collections writable through /api/:collection.
+// Each field: { type, required, maxLength, enum, items, maxItems }
+//   types: string | text | number | boolean | url | email | date | array
+// Server-managed fields (uploadedBy, createdAt, tts*, ...) are never
+// accepted from clients. Anything not declared here is never stored; it is
+// either dropped (reported in `dropped`) or rejected, see validateDocument.
+
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const tags = {
+  type: "array",
+  items: { type: "string", maxLength: 50 },
+  maxItems: 20,
+};
+
+// Categories are labels each church picks for itself, so any short string
+// is accepted; notices in "youth" or "choir" also go to those push topics
+const category = { type: "string", maxLength: 100 };
+
+// Draft/scheduled publishing (lib/publishing.js)
+const publishing = {
+  status: { type: "string", enum: ["draft", "published", "archived"] },
+  publishAt: { type: "date" },
+  expiresAt: { type: "date" },
+};
+
+const collectionSchemas = {
+  sermons: {
+    title: { type: "string", required: true, maxLength: 200 },
+    content: { type: "text", required: true, maxLength: 200000 },
+    preacher: { type: "string", maxLength: 100 },
+    scripture: { type: "string", maxLength: 200 },
+    category,
+    date: { type: "date" },
+    audioUrl: { type: "url" },
+    thumbnailUrl: { type: "url" },
+    tags,
+    ...publishing,
+  },
+  songs: {
+    title: { type: "string", required: true, maxLength: 200 },
+    artist: { type: "string", maxLength: 100 },
+    lyrics: { type: "text", maxLength: 20000 },
+    category,
+    audioUrl: { type: "url" },
+    thumbnailUrl: { type: "url" },
+    tags,
+  },
+  videos: {
+    title: { type: "string", required: true, maxLength: 200 },
+    description: { type: "text", maxLength: 5000 },
+    videoUrl: { type: "url", required: true },
+    thumbnailUrl: { type: "url" },
+    category,
+    tags,
+  },
+  notices: {
+    title: { type: "string", required: true, maxLength: 200 },
+    content: { type: "text", required: true, maxLength: 5000 },
+    category,
+    imageUrl: { type: "url" },
+    attachmentUrl: { type: "url" },
+    ...publishing,
+  },
+  quizResources: {
+    title: { type: "string", required: true, maxLength: 200 },
+    description: { type: "text", maxLength: 5000 },
+    category,
+    fileUrl: { type: "url" },
+    questions: { type: "array", maxItems: 500 },
+  },
+  contactMessages: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true, maxLength: 200 },
+    phone: { type: "string", maxLength: 30 },
+    subject: { type: "string", maxLength: 200 },
+    message: { type: "text", required: true, maxLength: 5000 },
+  },
+  quizHelpQuestions: {
+    name: { type: "string", maxLength: 100 },
+    email: { type: "email", maxLength: 200 },
+    topic: { type: "string", maxLength: 200 },
+    question: { type: "text", required: true, maxLength: 2000 },
+  },
+};
+
+// Returns an error message, or null when the value fits the rule
+const checkValue = (rule, value) => {
+  switch (rule.type) {
+    case "string":
+    case "text":
+      if (typeof value !== "string") return "must be a string";
+      break;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "must be a number";
+      }
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return "must be a boolean";
+      break;
+    case "url":
+      if (typeof value !== "string" || !URL_PATTERN.test(value)) {
+        return "must be an http(s) URL";
+      }
+      break;
+    case "email":
+      if (typeof value !== "string" || !EMAIL_PATTERN.test(value)) {
+        return "must be a valid email address";
+      }
+      break;
+    case "date":
+      if (
+        (typeof value !== "string" && typeof value !== "number") ||
+        Number.isNaN(new Date(value).getTime())
+      ) {
+        return "must be an ISO date";
+      }
+      break;
+    case "array":
+      if (!Array.isArray(value)) return "must be an array";
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return `must have at most ${rule.maxItems} items`;
+      }
+      if (rule.items) {
+        const index = value.findIndex((item) => checkValue(rule.items, item));
+        if (index !== -1) {
+          return `item ${index} ${checkValue(rule.items, value[index])}`;
+        }
+      }
+      break;
+    default:
+      return `has unsupported type ${rule.type}`;
+  }
+
+  if (rule.maxLength && typeof value === "string") {
+    if (value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters`;
+    }
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.required && typeof value === "string" && !value.trim()) {
+    return "must not be empty";
+  }
+  return null;
+};
+
+// Validates a write payload. `partial` (PUT) skips missing required fields
+// but still refuses to blank them out. Undeclared fields are errors with
+// `unknownFields: "reject"`, and with "drop" are left out and listed in
+// `dropped`. Returns { errors, value, dropped } where value has dates
+// converted to Date objects.
+const validateDocument = (
+  collection,
+  input,
+  { partial = false, unknownFields = "reject" } = {}
+) => {
+  const schema = collectionSchemas[collection];
+  const errors = [];
+  const value = {};
+  const dropped = [];
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    errors.push({ field: null, message: "Body must be a JSON object" });
+    return { errors, value, dropped };
+  }
+
+  for (const field of Object.keys(input)) {
+    if (schema[field]) continue;
+    if (unknownFields === "drop") dropped.push(field);
+    else errors.push({ field, message: "is not an allowed field" });
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldValue = input[field];
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required && (!partial || fieldValue === null)) {
+        errors.push({ field, message: "is required" });
+      } else if (fieldValue === null) {
+        value[field] = null;
+      }
+      continue;
+    }
+
+    const message = checkValue(rule, fieldValue);
+    if (message) {
+      errors.push({ field, message });
+      continue;
+    }
+    value[field] = rule.type === "date" ? new Date(fieldValue) : fieldValue;
+  }
+
+  return { errors, value, dropped };
+};
+
+module.exports = { collectionSchemas, validateDocument };
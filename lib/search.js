@@ -0,0 +1,313 @@
+// Full-text search over sermons, songs, notices and videos.
+//
+// Every searchable document has an entry in the `searchIndex` collection
+// (id "<collection>_<docId>"):
+//   { collection, docId, terms: { <stem>: score }, createdAt, updatedAt }
+// A term's score adds up the weight of each field it appears in, so title
+// matches rank above body matches. The write routes keep entries in sync;
+// POST /api/search/reindex rebuilds them.
+//
+// Entries are cached in memory per collection and reloaded after
+// SEARCH_CACHE_TTL_MS so other instances' writes show up.
+
+const INDEX_COLLECTION = "searchIndex";
+
+// Field weights; `snippet` is the long text shown under results
+const searchableCollections = {
+  sermons: {
+    fields: { title: 5, scripture: 3, preacher: 3, tags: 3, content: 1 },
+    snippet: "content",
+  },
+  songs: {
+    fields: { title: 5, artist: 3, tags: 3, lyrics: 1 },
+    snippet: "lyrics",
+  },
+  notices: {
+    fields: { title: 5, category: 2, content: 1 },
+    snippet: "content",
+  },
+  videos: {
+    fields: { title: 5, tags: 3, description: 1 },
+    snippet: "description",
+  },
+};
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have he her his i in is it " +
+    "its me my of on or our she so that the their them they this to was " +
+    "we were what when which who will with you your"
+  ).split(" ")
+);
+
+// --- Tokens ---
+
+// SSML tags are markup, not words
+const plainText = (value) =>
+  (Array.isArray(value) ? value.join(" ") : String(value ?? "")).replace(
+    /<[^>]+>/g,
+    " "
+  );
+
+const fold = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// Words with their positions in `text`: [{ word, start, end }]
+const wordsOf = (text) =>
+  [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map((match) => ({
+    word: fold(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+const isIndexable = (word) =>
+  (word.length > 1 || /\d/.test(word)) && !STOP_WORDS.has(word);
+
+// Light suffix stripping so "forgive", "forgiving" and "forgiveness" meet
+const SUFFIXES = [
+  "fulness",
+  "ingly",
+  "ness",
+  "ment",
+  "edly",
+  "ing",
+  "ful",
+  "ed",
+  "ly",
+];
+
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+
+  if (/(sses|ches|shes|xes|zes)$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = w.slice(0, -3) + "y";
+  else if (/[^su]s$/.test(w) && !w.endsWith("is")) w = w.slice(0, -1);
+
+  for (const suffix of SUFFIXES) {
+    const rest = w.slice(0, -suffix.length);
+    if (w.endsWith(suffix) && rest.length >= 3 && /[aeiouy]/.test(rest)) {
+      w = rest;
+      // running -> run, but keep bless, fall, buzz
+      if (/([^aeiouls z])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+
+  if (w.length > 3 && /[^aeiou]y$/.test(w)) w = w.slice(0, -1) + "i";
+  if (w.length > 3 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+};
+
+// Terms are words from user text, so lookups must not reach the prototype
+// (a sermon about "constructor" would otherwise score NaN)
+const scoreOf = (terms, term) => (Object.hasOwn(terms, term) ? terms[term] : 0);
+
+// { <stem>: score } for one document
+const indexTerms = (collection, data) => {
+  const terms = {};
+  for (const [field, weight] of Object.entries(
+    searchableCollections[collection].fields
+  )) {
+    const counts = new Map();
+    for (const { word } of wordsOf(plainText(data[field]))) {
+      if (!isIndexable(word)) continue;
+      const term = stem(word);
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    for (const [term, count] of counts) {
+      const score = weight * (1 + Math.log(count));
+      terms[term] = Math.round((scoreOf(terms, term) + score) * 100) / 100;
+    }
+  }
+  return terms;
+};
+
+// --- Queries ---
+
+// Splits a query into terms. The last word is also matched as a prefix
+// while the user is still typing it (no trailing space).
+const parseQuery = (q) => {
+  const words = wordsOf(String(q || "")).map(({ word }) => word);
+  const terms = words
+    .filter(isIndexable)
+    .map((word) => ({ word, stem: stem(word), prefix: false }));
+  if (terms.length && !/\s$/.test(q)) {
+    const last = terms[terms.length - 1];
+    if (last.word === words[words.length - 1] && last.word.length >= 2) {
+      last.prefix = true;
+    }
+  }
+  return terms;
+};
+
+const PREFIX_FACTOR = 0.7;
+
+// Best score of one query term in a document's terms (0 when missing)
+const termScore = (terms, { word, stem: termStem, prefix }) => {
+  let best = scoreOf(terms, termStem);
+  if (prefix) {
+    for (const [term, score] of Object.entries(terms)) {
+      if (term !== termStem && term.startsWith(word)) {
+        best = Math.max(best, score * PREFIX_FACTOR);
+      }
+    }
+  }
+  return best;
+};
+
+// Whether a word of the original text matches the query (for highlights)
+const matchesWord = (queryTerms, word) =>
+  isIndexable(word) &&
+  queryTerms.some(
+    (term) =>
+      stem(word) === term.stem || (term.prefix && word.startsWith(term.word))
+  );
+
+// --- Highlights ---
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// HTML-escaped `text` with matching words wrapped in <mark>
+const highlight = (text, queryTerms) => {
+  let html = "";
+  let position = 0;
+  for (const { word, start, end } of wordsOf(text)) {
+    if (!matchesWord(queryTerms, word)) continue;
+    html += escapeHtml(text.slice(position, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+  return html + escapeHtml(text.slice(position));
+};
+
+// About `length` characters around the first match, highlighted
+const snippet = (value, queryTerms, length = 200) => {
+  const text = plainText(value).replace(/\s+/g, " ").trim();
+  if (!text) return "";
+
+  const first = wordsOf(text).find(({ word }) => matchesWord(queryTerms, word));
+  let start = first ? Math.max(0, first.start - Math.floor(length / 3)) : 0;
+  let end = Math.min(text.length, start + length);
+  // Don't cut words in half
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(" ", end) || end;
+
+  return (
+    (start > 0 ? "…" : "") +
+    highlight(text.slice(start, end), queryTerms) +
+    (end < text.length ? "…" : "")
+  );
+};
+
+// --- Index ---
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+const createSearchIndex = ({ store, cacheTtlMs = 60000 }) => {
+  const cache = new Map(); // collection -> { loadedAt, entries: Map }
+  const entryId = (collection, docId) => `${collection}_${docId}`;
+
+  const entriesOf = async (collection) => {
+    const cached = cache.get(collection);
+    if (cached && Date.now() - cached.loadedAt < cacheTtlMs) {
+      return cached.entries;
+    }
+    const docs = await store.query(INDEX_COLLECTION, {
+      where: [["collection", "==", collection]],
+    });
+    const entries = new Map(docs.map(({ data }) => [data.docId, data]));
+    cache.set(collection, { loadedAt: Date.now(), entries });
+    return entries;
+  };
+
+  const upsert = async (collection, docId, data) => {
+    if (!searchableCollections[collection]) return;
+    const entry = {
+      collection,
+      docId,
+      terms: indexTerms(collection, data),
+      createdAt: toMillis(data.createdAt),
+      updatedAt: Date.now(),
+    };
+    await store.set(INDEX_COLLECTION, entryId(collection, docId), entry);
+    cache.get(collection)?.entries.set(docId, entry);
+  };
+
+  const remove = async (collection, docId) => {
+    if (!searchableCollections[collection]) return;
+    await store.delete(INDEX_COLLECTION, entryId(collection, docId));
+    cache.get(collection)?.entries.delete(docId);
+  };
+
+  return {
+    upsert,
+    remove,
+
+    // Ranked matches: [{ collection, id, score }], best first, newest
+    // first among equal scores. Every query term has to match.
+    search: async (queryTerms, collections) => {
+      const results = [];
+      for (const collection of collections) {
+        for (const entry of (await entriesOf(collection)).values()) {
+          let score = 0;
+          for (const term of queryTerms) {
+            const points = termScore(entry.terms, term);
+            if (!points) {
+              score = 0;
+              break;
+            }
+            score += points;
+          }
+          if (score) {
+            results.push({
+              collection,
+              id: entry.docId,
+              score: Math.round(score * 100) / 100,
+              createdAt: entry.createdAt,
+            });
+          }
+        }
+      }
+      return results
+        .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+        .map(({ createdAt, ...result }) => result);
+    },
+
+    // Re-indexes every document of a collection; resolves to the count
+    rebuild: async (collection) => {
+      const docs = await store.query(collection);
+      const existing = await store.query(INDEX_COLLECTION, {
+        where: [["collection", "==", collection]],
+      });
+      const live = new Set(docs.map(({ id }) => id));
+      for (const { data } of existing) {
+        if (!live.has(data.docId)) await remove(collection, data.docId);
+      }
+      for (const { id, data } of docs) await upsert(collection, id, data);
+      cache.delete(collection);
+      return docs.length;
+    },
+  };
+};
+
+module.exports = {
+  searchableCollections,
+  stem,
+  parseQuery,
+  highlight,
+  snippet,
+  createSearchIndex,
+};
@@ -0,0 +1,145 @@
+// Login sessions: short-lived JWT access tokens plus rotating refresh
+// tokens kept server-side in the `sessions` collection.
+//
+// Session document:
+//   { email, tokenHash, previousTokenHash, createdAt, lastUsedAt,
+//     expiresAt, revokedAt, userAgent, ip }
+// Refresh tokens look like "<sessionId>.<secret>"; only a hash of the
+// secret is stored. Each refresh issues a new secret; presenting the
+// previous one again means it leaked, so the session is revoked.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const SESSIONS_COLLECTION = "sessions";
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+const createSessionManager = ({
+  store,
+  secret,
+  accessTokenTtl = "15m",
+  refreshTokenTtlDays = 30,
+}) => {
+  const signAccessToken = (email, sessionId) =>
+    jwt.sign({ email, sid: sessionId }, secret, { expiresIn: accessTokenTtl });
+
+  const tokens = (email, sessionId, refreshSecret) => ({
+    token: signAccessToken(email, sessionId),
+    refreshToken: `${sessionId}.${refreshSecret}`,
+    expiresIn: accessTokenTtl,
+  });
+
+  const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== "string") return null;
+    const [sessionId, refreshSecret] = refreshToken.split(".");
+    return sessionId && refreshSecret ? { sessionId, refreshSecret } : null;
+  };
+
+  const isLive = (session) =>
+    !session.revokedAt && toMillis(session.expiresAt) > Date.now();
+
+  const revoke = (sessionId) =>
+    store.update(SESSIONS_COLLECTION, sessionId, { revokedAt: new Date() });
+
+  return {
+    // Starts a session; resolves to { token, refreshToken, expiresIn }
+    create: async (email, { userAgent = null, ip = null } = {}) => {
+      const refreshSecret = newSecret();
+      const now = new Date();
+      const sessionId = await store.add(SESSIONS_COLLECTION, {
+        email,
+        tokenHash: hashSecret(refreshSecret),
+        previousTokenHash: null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenTtlDays * 86400000),
+        revokedAt: null,
+        userAgent,
+        ip,
+      });
+      return tokens(email, sessionId, refreshSecret);
+    },
+
+    // Rotates a refresh token; resolves to new tokens or null if invalid
+    refresh: async (refreshToken) => {
+      const parsed = parseRefreshToken(refreshToken);
+      if (!parsed) return null;
+
+      const sessionDoc = await store.get(SESSIONS_COLLECTION, parsed.sessionId);
+      if (!sessionDoc || !isLive(sessionDoc.data)) return null;
+
+      const session = sessionDoc.data;
+      const presentedHash = hashSecret(parsed.refreshSecret);
+      if (presentedHash === session.previousTokenHash) {
+        console.warn(`Refresh token reuse on session ${sessionDoc.id}`);
+        await revoke(sessionDoc.id);
+        return null;
+      }
+      if (presentedHash !== session.tokenHash) return null;
+
+      const refreshSecret = newSecret();
+      await store.update(SESSIONS_COLLECTION, sessionDoc.id, {
+        tokenHash: hashSecret(refreshSecret),
+        previousTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+      });
+      return tokens(session.email, sessionDoc.id, refreshSecret);
+    },
+
+    // Live session for a refresh token, if its secret matches
+    findByRefreshToken: async (refreshToken) => {
+      const parsed = parseRefreshToken(refreshToken);
+      if (!parsed) return null;
+      const sessionDoc = await store.get(SESSIONS_COLLECTION, parsed.sessionId);
+      if (
+        !sessionDoc ||
+        !isLive(sessionDoc.data) ||
+        sessionDoc.data.tokenHash !== hashSecret(parsed.refreshSecret)
+      ) {
+        return null;
+      }
+      return { id: sessionDoc.id, ...sessionDoc.data };
+    },
+
+    revoke,
+
+    // Revokes every session of a user, including tokens issued before
+    // sessions existed (rejected by their issue time)
+    revokeAll: async (email) => {
+      const sessions = await store.query(SESSIONS_COLLECTION, {
+        where: [["email", "==", email]],
+      });
+      const live = sessions.filter(({ data }) => !data.revokedAt);
+      for (const { id } of live) await revoke(id);
+      await store.set(
+        "users",
+        email,
+        { sessionsRevokedAt: new Date() },
+        { merge: true }
+      );
+      return live.length;
+    },
+
+    // Whether a verified access token's session is still valid
+    isActive: async ({ email, sid, iat }) => {
+      if (sid) {
+        const sessionDoc = await store.get(SESSIONS_COLLECTION, sid);
+        return !!sessionDoc && isLive(sessionDoc.data);
+      }
+      const userDoc = await store.get("users", email);
+      const revokedAt = toMillis(userDoc?.data.sessionsRevokedAt);
+      return !revokedAt || iat * 1000 >= revokedAt;
+    },
+  };
+};
+
+module.exports = { createSessionManager };
@@ -0,0 +1,83 @@
+// Member submissions (contact messages, quiz help questions) and their spam
+// safeguards:
+//   - a honeypot field that real clients leave empty
+//   - the same text from the same submitter is refused within the window
+//   - each submitter gets a quota of submissions per window
+// Submitters are keyed by account ("user:<email>") or, when anonymous
+// submissions are allowed, by a hash of their IP ("ip:<sha256>").
+const crypto = require("crypto");
+
+const HONEYPOT_FIELD = "website";
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// contentField is the free text used for duplicate detection
+const submissionTypes = {
+  contactMessages: {
+    contentField: "message",
+    quota: { user: 5, anonymous: 2 },
+  },
+  quizHelpQuestions: {
+    contentField: "question",
+    quota: { user: 10, anonymous: 3 },
+  },
+};
+
+// Stored for spam checks only; not returned to submitters
+const INTERNAL_FIELDS = ["submitterKey", "contentHash"];
+
+const submitterKey = ({ email, ip }) =>
+  email
+    ? `user:${email}`
+    : `ip:${crypto
+        .createHash("sha256")
+        .update(ip || "")
+        .digest("hex")}`;
+
+// Case and whitespace changes don't make a message new
+const hashContent = (text) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(text || "")
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim()
+    )
+    .digest("hex");
+
+const createSubmissionGuard = ({ store }) => ({
+  // Resolves to null when the submission may be stored, otherwise to
+  // { status, error }
+  check: async (collection, { key, anonymous, contentHash }) => {
+    const since = new Date(Date.now() - WINDOW_MS);
+    // Composite index: submitterKey + createdAt (firestore.indexes.json)
+    const recent = await store.query(collection, {
+      where: [
+        ["submitterKey", "==", key],
+        ["createdAt", ">=", since],
+      ],
+    });
+
+    if (recent.some(({ data }) => data.contentHash === contentHash)) {
+      return { status: 409, error: "You already sent this" };
+    }
+    const quota =
+      submissionTypes[collection].quota[anonymous ? "anonymous" : "user"];
+    if (recent.length >= quota) {
+      return {
+        status: 429,
+        error: `Limit of ${quota} submissions per day reached, please try again later`,
+      };
+    }
+    return null;
+  },
+});
+
+module.exports = {
+  HONEYPOT_FIELD,
+  INTERNAL_FIELDS,
+  submissionTypes,
+  submitterKey,
+  hashContent,
+  createSubmissionGuard,
+};
@@ -0,0 +1,172 @@
+// Soft delete. Deleting a document moves it into the `trash` collection
+// (id "<collection>_<docId>"), which keeps it out of every read, count and
+// search until it is restored or purged:
+//   { collection, docId, data, deletedAt, deletedBy, purgeAfter }
+// Purging deletes the entry for good together with the files it links to
+// in storage (uploaded media, generated sermon audio). Media that another
+// document, live or in the trash, still links to is kept.
+const { listVariants } = require("./audioVariants");
+const { collectionSchemas } = require("./schemas");
+
+const TRASH_COLLECTION = "trash";
+
+// Fields that may hold the URL of a file we store
+const MEDIA_FIELDS = [
+  "audioUrl",
+  "thumbnailUrl",
+  "imageUrl",
+  "attachmentUrl",
+  "videoUrl",
+  "fileUrl",
+];
+
+const entryId = (collection, docId) => `${collection}_${docId}`;
+
+// Storage files a document links to: `media` ({ path, url }) may be
+// shared with other documents, `audio` paths belong to this sermon alone
+const linkedFiles = (storage, collection, docId, data) => {
+  const media = new Map();
+  for (const field of MEDIA_FIELDS) {
+    const url = data[field];
+    const filePath = typeof url === "string" && storage.pathFromUrl(url);
+    if (filePath && !media.has(filePath)) media.set(filePath, url);
+  }
+  const audio = new Set();
+  if (collection === "sermons") {
+    for (const variant of Object.values(listVariants(docId, data))) {
+      if (variant.path) audio.add(variant.path);
+    }
+  }
+  return {
+    media: [...media].map(([path, url]) => ({ path, url })),
+    audio: [...audio],
+  };
+};
+
+// [collection, field] pairs that can hold a media URL
+const mediaFieldPairs = Object.entries(collectionSchemas).flatMap(
+  ([collection, schema]) =>
+    MEDIA_FIELDS.filter((field) => schema[field]).map((field) => [
+      collection,
+      field,
+    ])
+);
+
+const createTrash = ({
+  store,
+  storage,
+  retentionDays = 30,
+  onPurge = async () => {}, // (collection, docId, data) extra cleanup
+}) => {
+  // Whether a document other than trash entry `skipId` links to `url`
+  const isShared = async (url, skipId) => {
+    for (const [collection, field] of mediaFieldPairs) {
+      const docs = await store.query(collection, {
+        where: [[field, "==", url]],
+        limit: 1,
+      });
+      if (docs.length) return true;
+    }
+    for (const field of MEDIA_FIELDS) {
+      const entries = await store.query(TRASH_COLLECTION, {
+        where: [[`data.${field}`, "==", url]],
+        limit: 2,
+      });
+      if (entries.some((entry) => entry.id !== skipId)) return true;
+    }
+    return false;
+  };
+
+  const purgeEntry = async ({ id, data: entry }) => {
+    const { collection, docId, data } = entry;
+    const { media, audio } = linkedFiles(storage, collection, docId, data);
+    const removable = [...audio];
+    for (const { path: filePath, url } of media) {
+      if (await isShared(url, id)) {
+        console.log(`Keeping ${filePath}, another document links to it`);
+      } else {
+        removable.push(filePath);
+      }
+    }
+    for (const filePath of removable) {
+      try {
+        await storage.delete(filePath);
+      } catch (err) {
+        console.error(`Failed to delete ${filePath}:`, err.message);
+      }
+    }
+    await onPurge(collection, docId, data);
+    await store.delete(TRASH_COLLECTION, id);
+  };
+
+  return {
+    // Moves a document to the trash; resolves to its data, or null if it
+    // doesn't exist
+    moveToTrash: async (collection, docId, deletedBy) => {
+      const doc = await store.get(collection, docId);
+      if (!doc) return null;
+
+      const deletedAt = new Date();
+      await store.set(TRASH_COLLECTION, entryId(collection, docId), {
+        collection,
+        docId,
+        data: doc.data,
+        deletedAt,
+        deletedBy,
+        purgeAfter: new Date(deletedAt.getTime() + retentionDays * 86400000),
+      });
+      await store.delete(collection, docId);
+      return doc.data;
+    },
+
+    get: async (collection, docId) => {
+      const entry = await store.get(
+        TRASH_COLLECTION,
+        entryId(collection, docId)
+      );
+      return entry ? entry.data : null;
+    },
+
+    // Puts a document back under its old id. Resolves to "restored",
+    // "missing" (not in the trash) or "conflict" (the id is taken again).
+    restore: async (collection, docId) => {
+      const id = entryId(collection, docId);
+      const entry = await store.get(TRASH_COLLECTION, id);
+      if (!entry) return "missing";
+      if (await store.get(collection, docId)) return "conflict";
+
+      await store.set(collection, docId, entry.data.data);
+      await store.delete(TRASH_COLLECTION, id);
+      return "restored";
+    },
+
+    // Purges one entry now; resolves to false if it isn't in the trash
+    purge: async (collection, docId) => {
+      const entry = await store.get(
+        TRASH_COLLECTION,
+        entryId(collection, docId)
+      );
+      if (!entry) return false;
+      await purgeEntry(entry);
+      return true;
+    },
+
+    // Purges entries past their retention period; resolves to the count
+    purgeExpired: async () => {
+      let purged = 0;
+      for (;;) {
+        const expired = await store.query(TRASH_COLLECTION, {
+          where: [["purgeAfter", "<=", new Date()]],
+          limit: 100,
+        });
+        for (const entry of expired) {
+          await purgeEntry(entry);
+          purged++;
+        }
+        if (expired.length < 100) return purged;
+      }
+    },
+  };
+};
+
+module.exports = { TRASH_COLLECTION, linkedFiles, createTrash };
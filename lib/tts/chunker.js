@@ -0,0 +1,324 @@
+// Splits sermon text (plain or SSML) into TTS-sized chunks.
+//
+// - Sentence ends are found by position, never by searching the text again,
+//   and are not taken after abbreviations ("Rev.", "St.", "1 Cor.") or
+//   initials, or inside numbers and verse references ("John 3:16", "3.16").
+// - Chunks prefer to end on paragraph (plain text) or sentence (SSML)
+//   boundaries.
+// - The limit is in UTF-8 bytes, which is what the TTS API counts.
+// - A sentence longer than the limit is split at clause punctuation, then
+//   at spaces, and only as a last resort mid-word.
+// - SSML (text starting with <speak>) is never cut inside a tag. Every
+//   chunk is wrapped in its own <speak>, and elements open at a cut are
+//   closed at the end of one chunk and reopened at the start of the next.
+
+const MAX_BYTES_PER_CHUNK = 4500;
+
+const ABBREVIATIONS = new Set([
+  // Titles
+  ...["mr", "mrs", "ms", "dr", "rev", "revd", "st", "pst", "prof", "fr"],
+  ...["sr", "jr", "bro", "sis", "hon", "gov", "gen", "lt", "col", "sgt"],
+  // Bible books
+  ...["ex", "exod", "lev", "num", "deut", "dt", "josh", "judg", "sam"],
+  ...["kgs", "chr", "chron", "neh", "esth", "ps", "pss", "psa", "prov"],
+  ...["eccl", "eccles", "isa", "jer", "lam", "ezek", "dan", "hos", "obad"],
+  ...["mic", "nah", "hab", "zeph", "hag", "zech", "mal", "matt", "mt"],
+  ...["mk", "lk", "jn", "rom", "cor", "gal", "eph", "phil", "thess", "tim"],
+  ...["tit", "philem", "heb", "jas", "pet", "jud"],
+  // References and Latin
+  ...["v", "vv", "ch", "chap", "cf", "e.g", "i.e", "vs", "no", "nos", "ca"],
+  ...["approx", "vol", "pp", "p"],
+]);
+
+const byteLength = (text) => Buffer.byteLength(text, "utf8");
+
+// --- Sentences ---
+
+// Punctuation run (plus closing quotes/brackets) followed by space or end
+const SENTENCE_END = /[.!?]+["'”’)\]]*(?=\s|$)/g;
+
+const isSentenceEnd = (text, start, end) => {
+  const next = text.slice(end).trimStart()[0];
+  // "etc. and", "What? he asked" - the sentence carries on
+  if (next && /[a-z]/.test(next)) return false;
+  if (text[start] !== "." || text[start + 1] === ".") return true;
+
+  const before = text.slice(0, start);
+  const word = (before.match(/[^\s"'“‘([]+$/) || [""])[0];
+  if (ABBREVIATIONS.has(word.toLowerCase())) return false;
+  if (/^\p{L}$/u.test(word)) return false; // initial, e.g. "J. Smith"
+
+  // "1." at the start of a line is a list marker
+  const lineStart = before.slice(0, before.length - word.length);
+  if (/^\d+$/.test(word) && /(^|\n)[ \t]*$/.test(lineStart)) return false;
+
+  return true;
+};
+
+// Returns [{ text, end }] where `end` says the piece closes a sentence
+const splitSentences = (text) => {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    if (!isSentenceEnd(text, match.index, end)) continue;
+    const sentence = text.slice(start, end).trim();
+    if (sentence) sentences.push({ text: sentence, end: true });
+    start = end;
+  }
+  const rest = text.slice(start).trim();
+  if (rest) sentences.push({ text: rest, end: false });
+  return sentences;
+};
+
+// --- Oversized sentences ---
+
+const SPLIT_PATTERNS = [/(?<=[;:])\s+/, /(?<=,)\s+/, /\s+(?=[—–-]\s)/, /\s+/];
+
+// Last resort: cut on code point boundaries
+const hardSplit = (text, maxBytes) => {
+  const pieces = [];
+  let current = "";
+  for (const char of text) {
+    if (current && byteLength(current + char) > maxBytes) {
+      pieces.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+const splitLong = (text, maxBytes, level = 0) => {
+  if (byteLength(text) <= maxBytes) return [text];
+  if (level === SPLIT_PATTERNS.length) return hardSplit(text, maxBytes);
+
+  const parts = text.split(SPLIT_PATTERNS[level]);
+  const pieces = [];
+  let current = "";
+  for (const part of parts) {
+    for (const piece of splitLong(part, maxBytes, level + 1)) {
+      const candidate = current ? `${current} ${piece}` : piece;
+      if (byteLength(candidate) <= maxBytes) {
+        current = candidate;
+      } else {
+        if (current) pieces.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+// --- Packing ---
+
+// Packs groups of units into chunks. A group (paragraph or sentence) moves
+// to a fresh chunk when it would not fit in the current one but fits
+// alone; otherwise it is spread over chunks unit by unit.
+// unit: { text, sep }  sep is placed before the unit inside a chunk
+const packUnits = (groups, maxBytes, { prefix, suffix }) => {
+  const render = (units) =>
+    prefix(units[0]) +
+    units.map((unit, i) => (i ? unit.sep : "") + unit.text).join("") +
+    suffix(units[units.length - 1]);
+  const fits = (units) => byteLength(render(units)) <= maxBytes;
+
+  const chunks = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) chunks.push(render(current).trim());
+    current = [];
+  };
+
+  for (const group of groups) {
+    if (current.length && !fits([...current, ...group]) && fits(group)) {
+      flush();
+    }
+    for (const unit of group) {
+      if (current.length && !fits([...current, unit])) flush();
+      current.push(unit);
+    }
+  }
+  flush();
+  return chunks;
+};
+
+// --- Plain text ---
+
+const chunkPlainText = (text, maxBytes) => {
+  const paragraphs = text.split(/\n\s*\n/);
+  const groups = [];
+
+  for (const paragraph of paragraphs) {
+    const units = [];
+    for (const sentence of splitSentences(paragraph)) {
+      for (const piece of splitLong(sentence.text, maxBytes)) {
+        units.push({ text: piece, sep: units.length ? " " : "\n\n" });
+      }
+    }
+    if (units.length) groups.push(units);
+  }
+
+  return packUnits(groups, maxBytes, { prefix: () => "", suffix: () => "" });
+};
+
+// --- SSML ---
+
+const TAG = /<!--[\s\S]*?-->|<[^>]+>/g;
+
+const parseTag = (tag) => {
+  if (tag.startsWith("<!--") || tag.startsWith("<?") || tag.endsWith("/>")) {
+    return { kind: "empty" };
+  }
+  const name = tag.match(/^<\/?\s*([^\s/>]+)/)[1];
+  return { kind: tag.startsWith("</") ? "close" : "open", name };
+};
+
+// Turns the <speak> body into units that know which elements are open
+// before them (`before`) and after them (`after`).
+const ssmlUnits = (body) => {
+  const units = [];
+  const stack = [];
+  const snapshot = () => [...stack];
+  let lead = null; // opening tags waiting for the text they wrap
+  let spaced = false; // whitespace seen since the last unit or tag
+
+  const addText = (text) => {
+    if (!text) return;
+    if (/^\s/.test(text)) spaced = true;
+    for (const sentence of splitSentences(text)) {
+      units.push({
+        sep: lead ? lead.sep : spaced ? " " : "",
+        lead: lead ? lead.text : "",
+        body: sentence.text,
+        trail: "",
+        before: lead ? lead.before : snapshot(),
+        inside: snapshot(),
+        after: snapshot(),
+        end: sentence.end,
+      });
+      lead = null;
+      spaced = true;
+    }
+    spaced = /\s$/.test(text);
+  };
+
+  const startLead = (text) => {
+    lead = { text, sep: spaced ? " " : "", before: snapshot() };
+  };
+
+  let position = 0;
+  const tokens = [...body.matchAll(TAG)];
+  for (const match of tokens) {
+    addText(body.slice(position, match.index));
+    position = match.index + match[0].length;
+
+    const tag = match[0];
+    const { kind, name } = parseTag(tag);
+    const last = units[units.length - 1];
+
+    if (kind === "open") {
+      if (!lead) startLead("");
+      lead.text += tag;
+      stack.push({ name, tag });
+    } else {
+      if (kind === "close") stack.pop();
+      if (lead) lead.text += tag;
+      else if (last) {
+        last.trail += tag;
+        last.after = snapshot();
+        last.end = last.end || kind === "empty" || /^(p|s)$/i.test(name);
+      } else startLead(tag);
+    }
+    spaced = false;
+  }
+  addText(body.slice(position));
+
+  if (lead) {
+    units.push({
+      sep: lead.sep,
+      lead: lead.text,
+      body: "",
+      trail: "",
+      before: lead.before,
+      inside: snapshot(),
+      after: snapshot(),
+      end: true,
+    });
+  }
+  return units;
+};
+
+const chunkSsml = (ssml, maxBytes) => {
+  const trimmed = ssml.trim();
+  const speakOpen = trimmed.match(/^<speak\b[^>]*>/i)[0];
+  const body = trimmed.slice(speakOpen.length).replace(/<\/speak>\s*$/i, "");
+
+  const prefix = (unit) =>
+    speakOpen + unit.before.map(({ tag }) => tag).join("");
+  const suffix = (unit) =>
+    [...unit.after]
+      .reverse()
+      .map(({ name }) => `</${name}>`)
+      .join("") + "</speak>";
+
+  // Split oversized sentences, keeping their tags on the outer pieces
+  const units = [];
+  for (const unit of ssmlUnits(body)) {
+    const text = unit.lead + unit.body + unit.trail;
+    const budget =
+      maxBytes -
+      byteLength(prefix({ before: unit.inside })) -
+      byteLength(suffix({ after: unit.inside })) -
+      byteLength(unit.lead) -
+      byteLength(unit.trail);
+    if (byteLength(prefix(unit) + text + suffix(unit)) <= maxBytes) {
+      units.push({ ...unit, text });
+      continue;
+    }
+    const pieces = splitLong(unit.body, Math.max(budget, 1));
+    pieces.forEach((piece, i) => {
+      const first = i === 0;
+      const last = i === pieces.length - 1;
+      units.push({
+        text: (first ? unit.lead : "") + piece + (last ? unit.trail : ""),
+        sep: first ? unit.sep : " ",
+        before: first ? unit.before : unit.inside,
+        after: last ? unit.after : unit.inside,
+        end: last && unit.end,
+      });
+    });
+  }
+
+  // Group units into sentences so cuts prefer sentence boundaries
+  const groups = [];
+  let group = [];
+  for (const unit of units) {
+    group.push(unit);
+    if (unit.end) {
+      groups.push(group);
+      group = [];
+    }
+  }
+  if (group.length) groups.push(group);
+
+  return packUnits(groups, maxBytes, { prefix, suffix });
+};
+
+const isSsml = (text) => /^\s*<speak\b/i.test(text);
+
+const splitTextIntoChunks = (text, { maxBytes = MAX_BYTES_PER_CHUNK } = {}) => {
+  if (!text || !text.trim()) return [];
+  return isSsml(text)
+    ? chunkSsml(text, maxBytes)
+    : chunkPlainText(text, maxBytes);
+};
+
+module.exports = {
+  MAX_BYTES_PER_CHUNK,
+  isSsml,
+  splitSentences,
+  splitTextIntoChunks,
+};
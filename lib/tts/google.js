@@ -0,0 +1,36 @@
+// Google Cloud Text-to-Speech (REST, API key auth)
+const { isSsml } = require("./chunker");
+
+const createGoogleProvider = ({ apiKey }) => ({
+  name: "google",
+
+  synthesize: async ({ text, languageCode, voiceName }) => {
+    const response = await fetch(
+      `https://texttospeech.googleapis.com/v1/text:synthesize?key=${apiKey}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          input: isSsml(text) ? { ssml: text } : { text },
+          voice: { languageCode, name: voiceName },
+          audioConfig: {
+            audioEncoding: "MP3",
+            speakingRate: 1.0,
+            pitch: 0.0,
+            volumeGainDb: 0.0,
+          },
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`TTS failed: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return Buffer.from(data.audioContent, "base64");
+  },
+});
+
+module.exports = { createGoogleProvider };
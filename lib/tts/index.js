@@ -0,0 +1,72 @@
+// Text-to-speech provider selection plus a content-hash cache shared by
+// /api/tts/synthesize and sermon audio generation.
+//
+//   TTS_PROVIDER=google  Google Cloud TTS (needs GOOGLE_TTS_API_KEY)
+//   TTS_PROVIDER=local   offline silent-MP3 generator
+// Defaults to google when GOOGLE_TTS_API_KEY is set, local otherwise. With
+// NODE_ENV=production one of them has to be set, so sermons never quietly
+// get silent audio.
+//
+// A provider is { name, synthesize({ text, languageCode, voiceName }) }
+// resolving to an MP3 Buffer.
+const crypto = require("crypto");
+const { createGoogleProvider } = require("./google");
+const { createLocalProvider } = require("./local");
+
+const CACHE_PREFIX = "tts-cache";
+
+const createProvider = (env) => {
+  if (
+    !env.TTS_PROVIDER &&
+    !env.GOOGLE_TTS_API_KEY &&
+    env.NODE_ENV === "production"
+  ) {
+    throw new Error(
+      "TTS_PROVIDER or GOOGLE_TTS_API_KEY must be set when NODE_ENV=production"
+    );
+  }
+  const name =
+    env.TTS_PROVIDER || (env.GOOGLE_TTS_API_KEY ? "google" : "local");
+  if (name === "google") {
+    return createGoogleProvider({ apiKey: env.GOOGLE_TTS_API_KEY });
+  }
+  if (name === "local") return createLocalProvider();
+  throw new Error(`Unknown TTS_PROVIDER "${name}"`);
+};
+
+const cacheKey = (provider, text, languageCode, voiceName) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([provider, text, languageCode, voiceName]))
+    .digest("hex");
+
+const createTts = ({ storage, env = process.env }) => {
+  const provider = createProvider(env);
+  console.log(`TTS provider: ${provider.name}`);
+
+  return {
+    provider: provider.name,
+
+    // Resolves to { audio: Buffer, cached: boolean }
+    synthesize: async (text, languageCode, voiceName) => {
+      const key = cacheKey(provider.name, text, languageCode, voiceName);
+      const cachePath = `${CACHE_PREFIX}/${key}.mp3`;
+
+      if (await storage.exists(cachePath)) {
+        return { audio: await storage.read(cachePath), cached: true };
+      }
+
+      const audio = await provider.synthesize({
+        text,
+        languageCode,
+        voiceName,
+      });
+      await storage
+        .save(cachePath, audio, { contentType: "audio/mpeg", public: false })
+        .catch((err) => console.error("TTS cache write failed:", err.message));
+      return { audio, cached: false };
+    },
+  };
+};
+
+module.exports = { createTts };
@@ -0,0 +1,33 @@
+// Offline TTS stand-in for development and tests. It produces a valid MP3
+// of silence whose length follows the text (about 150 words per minute),
+// so the whole generation pipeline can run without network access.
+// Output matches Google's MP3 format: MPEG-2 Layer III, 24 kHz, mono, 32 kbps.
+const SAMPLES_PER_FRAME = 576;
+const SAMPLE_RATE = 24000;
+const FRAME_BYTES = 96; // 72 * 32000 / 24000
+const SECONDS_PER_WORD = 0.4;
+
+// Header 0xFFF3 4 C0: sync, MPEG-2, Layer III, no CRC, 32 kbps, 24 kHz,
+// mono. All-zero side info and main data decode as silence.
+const silentFrame = () => {
+  const frame = Buffer.alloc(FRAME_BYTES);
+  frame.set([0xff, 0xf3, 0x44, 0xc0]);
+  return frame;
+};
+
+const createLocalProvider = () => ({
+  name: "local",
+
+  synthesize: async ({ text }) => {
+    const words = text
+      .replace(/<[^>]+>/g, " ") // SSML tags are not spoken
+      .split(/\s+/)
+      .filter(Boolean).length;
+    const seconds = Math.max(words, 1) * SECONDS_PER_WORD;
+    const frameCount = Math.ceil((seconds * SAMPLE_RATE) / SAMPLES_PER_FRAME);
+    const frame = silentFrame();
+    return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+  },
+});
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,217 @@
+// Resumable uploads. A session is created with the file's size, then the
+// bytes arrive in parts at increasing offsets and are appended to a temp
+// file; a dropped connection resumes from the received byte count. On
+// completion the SHA-256 of the file is checked, then `checkFile` decides
+// the final path and content type (or rejects the file) before it goes to
+// storage.
+//
+// Session document, in `uploadSessions`:
+//   { email, path, size, sha256, received, createdAt, updatedAt,
+//     expiresAt }
+// Sessions idle for `ttlHours` expire and their temp files are removed.
+// A user may have up to `maxOpenSessions` unexpired sessions at a time.
+const crypto = require("crypto");
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+
+const SESSIONS_COLLECTION = "uploadSessions";
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+const fileSize = async (filePath) => {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+};
+
+const sha256File = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fsSync
+      .createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (data) => hash.update(data))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+const createUploadSessions = ({
+  store,
+  storage,
+  tmpDir,
+  ttlHours = 24,
+  maxOpenSessions = 5,
+  // (filePath, session) -> { path, contentType } or { status, error }
+  checkFile = async (filePath, session) => ({
+    path: session.path,
+    contentType: "application/octet-stream",
+  }),
+}) => {
+  // Sessions with a part being written or being completed
+  const busy = new Set();
+
+  const tempPath = (sessionId) => path.join(tmpDir, `${sessionId}.part`);
+  const expiresAt = () => new Date(Date.now() + ttlHours * 3600000);
+
+  const remove = async (sessionId) => {
+    await fs.unlink(tempPath(sessionId)).catch(() => {});
+    await store.delete(SESSIONS_COLLECTION, sessionId);
+  };
+
+  const get = async (sessionId, email) => {
+    const doc = await store.get(SESSIONS_COLLECTION, sessionId);
+    if (!doc || doc.data.email !== email) return null;
+    // Expired sessions are gone even before purgeExpired removes them
+    if (toMillis(doc.data.expiresAt) <= Date.now()) return null;
+    // The temp file is the truth; the stored count may lag after a crash
+    return {
+      ...doc.data,
+      id: doc.id,
+      received: await fileSize(tempPath(doc.id)),
+    };
+  };
+
+  return {
+    // Resolves to the new session, or { status, error } when the user
+    // already has `maxOpenSessions` open
+    create: async ({ email, path: destination, size, sha256 }) => {
+      const now = new Date();
+      const open = await store.count(SESSIONS_COLLECTION, {
+        where: [
+          ["email", "==", email],
+          ["expiresAt", ">", now],
+        ],
+      });
+      if (open >= maxOpenSessions) {
+        return {
+          status: 429,
+          error: `Too many unfinished uploads (${open}); complete or abort one first`,
+        };
+      }
+      const session = {
+        email,
+        path: destination,
+        size,
+        sha256,
+        received: 0,
+        createdAt: now,
+        updatedAt: now,
+        expiresAt: expiresAt(),
+      };
+      const id = await store.add(SESSIONS_COLLECTION, session);
+      await fs.mkdir(tmpDir, { recursive: true });
+      await fs.writeFile(tempPath(id), "");
+      return { ...session, id };
+    },
+
+    // The caller's unexpired session with its received byte count, or null
+    get,
+
+    // Writes `data` at `offset`. Resolves to { received } or { error,
+    // status, received } when the part doesn't fit. A part may start
+    // before the received count (a retried part); it never leaves a gap.
+    writePart: async (session, offset, data) => {
+      if (busy.has(session.id)) {
+        return {
+          status: 409,
+          error: "Another part of this upload is being written",
+          received: session.received,
+        };
+      }
+      if (offset > session.received) {
+        return {
+          status: 409,
+          error: "Offset is past the bytes received so far",
+          received: session.received,
+        };
+      }
+      if (offset + data.length > session.size) {
+        return {
+          status: 400,
+          error: "Part goes past the declared file size",
+          received: session.received,
+        };
+      }
+
+      busy.add(session.id);
+      try {
+        const file = tempPath(session.id);
+        await fs.truncate(file, offset);
+        await fs.appendFile(file, data);
+        const received = offset + data.length;
+        await store.update(SESSIONS_COLLECTION, session.id, {
+          received,
+          updatedAt: new Date(),
+          expiresAt: expiresAt(),
+        });
+        return { received };
+      } finally {
+        busy.delete(session.id);
+      }
+    },
+
+    // Checks and stores the file. Resolves to { url, path, contentType } or
+    // { error, status }.
+    complete: async (session, sha256) => {
+      if (busy.has(session.id)) {
+        return { status: 409, error: "A part is still being written" };
+      }
+      if (session.received !== session.size) {
+        return {
+          status: 409,
+          error: `Only ${session.received} of ${session.size} bytes received`,
+        };
+      }
+      const expected = (sha256 || session.sha256 || "").toLowerCase();
+      if (!expected) {
+        return { status: 400, error: "sha256 checksum is required" };
+      }
+
+      busy.add(session.id);
+      try {
+        const file = tempPath(session.id);
+        const actual = await sha256File(file);
+        if (actual !== expected) {
+          return {
+            status: 422,
+            error: "Checksum mismatch; the upload was corrupted",
+            sha256: actual,
+          };
+        }
+
+        const checked = await checkFile(file, session);
+        if (checked.error) return checked;
+
+        const url = await storage.upload(file, checked.path, {
+          contentType: checked.contentType,
+        });
+        await remove(session.id);
+        return { url, ...checked };
+      } finally {
+        busy.delete(session.id);
+      }
+    },
+
+    abort: (session) => remove(session.id),
+
+    // Removes sessions past their expiry; resolves to the count
+    purgeExpired: async () => {
+      const expired = await store.query(SESSIONS_COLLECTION, {
+        where: [["expiresAt", "<=", new Date()]],
+      });
+      for (const { id } of expired) {
+        if (!busy.has(id)) await remove(id);
+      }
+      return expired.length;
+    },
+  };
+};
+
+module.exports = { createUploadSessions };
@@ -0,0 +1,198 @@
+// Version history for sermons and songs. Every update first copies the
+// document's editable fields into its `versions` subcollection
+// (`sermons/<id>/versions/<number>`), numbered from 1:
+//   { number, data, editedBy, editedAt, replacedBy, replacedAt, change,
+//     revertedTo }
+// `data` is the version as it was; editedBy/editedAt say who wrote it, and
+// replacedBy/replacedAt who overwrote it. `change` is "update", or "revert"
+// (with `revertedTo`) when a revert replaced it.
+const { collectionSchemas } = require("./schemas");
+
+const VERSIONS_SUBCOLLECTION = "versions";
+
+// Collections with history; only their content fields are versioned
+const versionedCollections = ["sermons", "songs"];
+
+// Publishing state isn't content; reverting leaves it alone
+const UNVERSIONED_FIELDS = ["status", "publishAt", "expiresAt"];
+
+const versionedFields = (collection) =>
+  Object.keys(collectionSchemas[collection] || {}).filter(
+    (field) => !UNVERSIONED_FIELDS.includes(field)
+  );
+
+const versionsPath = (collection, docId) =>
+  `${collection}/${docId}/${VERSIONS_SUBCOLLECTION}`;
+
+const pickFields = (collection, data) => {
+  const picked = {};
+  for (const field of versionedFields(collection)) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+};
+
+// --- Diffs ---
+
+// Above this many line pairs a changed text is shown as replaced whole
+const MAX_DIFF_CELLS = 4000000;
+
+const comparable = (value) => {
+  if (value?.toDate) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+};
+
+// Line diff as runs of { op: "equal" | "delete" | "insert", lines }
+const diffLines = (before, after) => {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // Common head and tail don't need the table
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+
+  const ops = [];
+  const push = (op, line) => {
+    const last = ops[ops.length - 1];
+    if (last?.op === op) last.lines.push(line);
+    else ops.push({ op, lines: [line] });
+  };
+
+  a.slice(0, head).forEach((line) => push("equal", line));
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    midA.forEach((line) => push("delete", line));
+    midB.forEach((line) => push("insert", line));
+  } else {
+    // Longest common subsequence lengths, from the end
+    const width = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        push("equal", midA[i++]);
+        j++;
+      } else if (
+        j === midB.length ||
+        (i < midA.length && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])
+      ) {
+        push("delete", midA[i++]);
+      } else {
+        push("insert", midB[j++]);
+      }
+    }
+  }
+  a.slice(a.length - tail).forEach((line) => push("equal", line));
+  return ops;
+};
+
+// { field: { before, after } } for changed fields; text fields also get
+// a line diff
+const diffVersions = (collection, before, after) => {
+  const schema = collectionSchemas[collection] || {};
+  const changes = {};
+  for (const field of versionedFields(collection)) {
+    const old = comparable(before[field]);
+    const next = comparable(after[field]);
+    if (JSON.stringify(old) === JSON.stringify(next)) continue;
+
+    changes[field] = { before: old, after: next };
+    if (schema[field].type === "text") {
+      changes[field].lines = diffLines(old || "", next || "");
+    }
+  }
+  return changes;
+};
+
+// --- Storage ---
+
+const createVersionHistory = ({ store }) => {
+  const latestNumber = async (collection, docId) => {
+    const [latest] = await store.query(versionsPath(collection, docId), {
+      orderBy: [["number", "desc"]],
+      limit: 1,
+    });
+    return latest ? latest.data.number : 0;
+  };
+
+  return {
+    // Saves `data` (the document before a write) as the next version;
+    // resolves to its number
+    snapshot: async (
+      collection,
+      docId,
+      data,
+      { replacedBy, change = "update", revertedTo = null }
+    ) => {
+      const version = {
+        data: pickFields(collection, data),
+        editedBy: data.updatedBy || data.uploadedBy || null,
+        editedAt: data.updatedAt || data.createdAt || null,
+        replacedBy,
+        replacedAt: new Date(),
+        change,
+        revertedTo,
+      };
+      // Creating fails when a concurrent edit took the number first; the
+      // next one is tried instead of overwriting that version
+      let number = (await latestNumber(collection, docId)) + 1;
+      while (
+        !(await store.create(versionsPath(collection, docId), String(number), {
+          number,
+          ...version,
+        }))
+      ) {
+        number++;
+      }
+      return number;
+    },
+
+    get: async (collection, docId, number) => {
+      const doc = await store.get(
+        versionsPath(collection, docId),
+        String(number)
+      );
+      return doc ? doc.data : null;
+    },
+
+    // Deletes the whole history of a document; resolves to the count
+    removeAll: async (collection, docId) => {
+      const path = versionsPath(collection, docId);
+      let removed = 0;
+      for (;;) {
+        const batch = await store.query(path, { limit: 100 });
+        for (const { id } of batch) await store.delete(path, id);
+        removed += batch.length;
+        if (batch.length < 100) return removed;
+      }
+    },
+  };
+};
+
+module.exports = {
+  versionedCollections,
+  versionedFields,
+  versionsPath,
+  pickFields,
+  diffVersions,
+  createVersionHistory,
+};
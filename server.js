@@ -588,13 +588,126 @@ require("dotenv").config();
 const express = require("express");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
-const admin = require("firebase-admin");
 const cors = require("cors");
 const multer = require("multer");
 const fs = require("fs").promises;
+const { createBackends } = require("./lib/backends");
+const { collectionSchemas, validateDocument } = require("./lib/schemas");
+const { createAudioJobQueue } = require("./lib/audioJobs");
+const { createSessionManager } = require("./lib/sessions");
+const {
+  normalizeEmail,
+  isValidEmail,
+  passwordProblems,
+  createAccountTokens,
+} = require("./lib/accounts");
+const { createMailer } = require("./lib/mailer");
+const {
+  readPolicies,
+  policyFor,
+  parseFields,
+  projectDocument,
+} = require("./lib/readPolicies");
+const {
+  HONEYPOT_FIELD,
+  INTERNAL_FIELDS,
+  submissionTypes,
+  submitterKey,
+  hashContent,
+  createSubmissionGuard,
+} = require("./lib/submissions");
+const {
+  createCounterStore,
+  createRateLimiter,
+  createLoginGuard,
+  sendTooManyRequests,
+} = require("./lib/rateLimit");
+const {
+  searchableCollections,
+  parseQuery,
+  highlight,
+  snippet,
+  createSearchIndex,
+} = require("./lib/search");
+const {
+  parseFilters,
+  parseSort,
+  describeQueryError,
+} = require("./lib/listFilters");
+const {
+  queryKey,
+  cursorValues,
+  createCursorCodec,
+  fetchPage,
+} = require("./lib/pagination");
+const { TRASH_COLLECTION, createTrash } = require("./lib/trash");
+const { AUDIT_COLLECTION, createAuditLog } = require("./lib/audit");
+const {
+  versionedCollections,
+  versionedFields,
+  versionsPath,
+  pickFields,
+  diffVersions,
+  createVersionHistory,
+} = require("./lib/versions");
+const {
+  scheduledCollections,
+  isLive,
+  scheduleProblem,
+  publishingFields,
+  createPublisher,
+} = require("./lib/publishing");
+const { MAX_BULK_IDS, createNoticeReads } = require("./lib/noticeReads");
+const {
+  PUSH_TOPICS,
+  PLATFORMS,
+  MAX_TOKEN_LENGTH,
+  createPushNotifier,
+} = require("./lib/push");
+const { createEventBus, formatEvent } = require("./lib/events");
+const { createUploadSessions } = require("./lib/uploads");
+const {
+  HEAD_BYTES,
+  detectFileType,
+  readFileHead,
+  destinationProblem,
+  fileTypeProblem,
+  safeDestination,
+} = require("./lib/fileTypes");
+const {
+  ROLES,
+  isRole,
+  permissionsFor,
+  hasPermission,
+  loadRoles,
+} = require("./lib/permissions");
+const { createTts } = require("./lib/tts");
+const { mergeMp3 } = require("./lib/mp3");
+const {
+  MAX_BYTES_PER_CHUNK,
+  splitTextIntoChunks,
+} = require("./lib/tts/chunker");
+const {
+  variantKey,
+  contentHash,
+  listVariants,
+  isCurrent,
+  staleVariantUpdates,
+} = require("./lib/audioVariants");
 
 const app = express();
-app.use(express.json({ limit: "150mb" }));
+// Behind a load balancer, e.g. TRUST_PROXY=1, so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+// Upload parts are raw bytes whatever their Content-Type (RESUMABLE UPLOADS)
+const jsonBody = express.json({ limit: "150mb" });
+app.use((req, res, next) =>
+  req.method === "PUT" && /^\/uploads\/[^/]+$/.test(req.path)
+    ? next()
+    : jsonBody(req, res, next)
+);
 app.use(cors({ origin: "*" }));
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -605,22 +718,17 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
-// Firebase Admin
-let bucket;
+// Data + file storage backends (Firebase, or local via DATA_BACKEND=local)
+let store;
+let storage;
 try {
-  const serviceAccount = require("./serviceAccountKey.json");
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    storageBucket: "grace-cc555.firebasestorage.app",
-  });
-  bucket = admin.storage().bucket();
-  console.log("Firebase Admin + Storage initialized");
+  ({ store, storage } = createBackends());
 } catch (err) {
-  console.error("Firebase initialization failed:", err.message);
+  console.error("Backend initialization failed:", err.message);
   process.exit(1);
 }
 
-const db = admin.firestore();
+storage.mount(app);
 
 // Multer
 const upload = multer({
@@ -628,120 +736,224 @@ const upload = multer({
   limits: { fileSize: 150 * 1024 * 1024 },
 });
 
+// Sessions: short-lived access tokens + rotating refresh tokens
+const sessions = createSessionManager({
+  store,
+  secret: JWT_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30"),
+});
+
+// Account emails: password resets and address verification
+const accountTokens = createAccountTokens({ store });
+let mailer;
+try {
+  mailer = createMailer();
+} catch (err) {
+  console.error("Mail initialization failed:", err.message);
+  process.exit(1);
+}
+const APP_BASE_URL =
+  process.env.APP_BASE_URL ||
+  process.env.PUBLIC_BASE_URL ||
+  `http://localhost:${PORT}`;
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFY_TOKEN_TTL_MINUTES = 48 * 60;
+
+// Rate limits per route group (lib/rateLimit.js) and login lockout
+const counters = createCounterStore(store);
+const { limit: rateLimit } = createRateLimiter({ counters });
+const loginGuard = createLoginGuard({
+  counters,
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || "5"),
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES || "15"),
+  accountMaxFailures: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES || "20"),
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || "60"),
+});
+
+// Audit log of administrative changes (lib/audit.js)
+const auditLog = createAuditLog({ store });
+const audit = (req, entry) =>
+  auditLog.record({ actor: req.user?.email || null, ip: req.ip, ...entry });
+
 // Middleware
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader?.startsWith("Bearer ")) {
     return res.status(401).json({ error: "No token provided" });
   }
   const token = authHeader.split(" ")[1];
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ error: "Invalid or expired token" });
   }
+
+  try {
+    if (!(await sessions.isActive(payload))) {
+      return res.status(401).json({ error: "Session has been revoked" });
+    }
+  } catch (err) {
+    console.error("Session check failed:", err);
+    return res.status(500).json({ error: "Failed to verify session" });
+  }
+
+  req.user = payload;
+  next();
+};
+
+// Roles are loaded once per request (see lib/permissions.js)
+const getPermissions = async (req) => {
+  if (!req.permissions) {
+    req.user.roles = await loadRoles(store, req.user.email);
+    req.permissions = permissionsFor(req.user.roles);
+  }
+  return req.permissions;
 };
 
-const requireAdmin = async (req, res, next) => {
+const can = async (req, permission) =>
+  hasPermission(await getPermissions(req), permission);
+
+// `permission` may be a function of the request, e.g. for :collection
+const requirePermission = (permission) => async (req, res, next) => {
+  const required =
+    typeof permission === "function" ? permission(req) : permission;
   try {
-    const adminDoc = await db.collection("admins").doc(req.user.email).get();
-    if (!adminDoc.exists) {
-      return res.status(403).json({ error: "Admin access required" });
+    if (!(await can(req, required))) {
+      return res.status(403).json({ error: "Permission denied", required });
     }
     next();
   } catch (err) {
-    console.error("Admin check failed:", err);
-    return res.status(500).json({ error: "Failed to verify admin" });
+    console.error("Permission check failed:", err);
+    return res.status(500).json({ error: "Failed to verify permissions" });
   }
 };
 
+const canWriteCollection = requirePermission(
+  (req) => `write:${req.params.collection}`
+);
+
 const toISO = (field) => {
   if (!field) return new Date().toISOString();
   if (field.toDate) return field.toDate().toISOString();
   return new Date(field).toISOString();
 };
 
-// === TTS HELPER FUNCTIONS ===
-const MAX_CHARS_PER_CHUNK = 4000;
-const SENTENCE_ENDINGS = /[.!?]+/;
+// Shape a stored document for JSON responses (Timestamps -> ISO strings)
+const serializeValue = (value) => {
+  if (value?.toDate) return toISO(value);
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [key, serializeValue(inner)])
+    );
+  }
+  return value;
+};
+
+const toResponseDoc = ({ id, data }) => ({
+  id,
+  ...serializeValue(data),
+  createdAt: toISO(data.createdAt),
+});
 
-const splitTextIntoChunks = (text) => {
-  if (!text) return [];
-  const chunks = [];
-  let currentChunk = "";
-  const sentences = text.split(SENTENCE_ENDINGS);
+// === TTS HELPER FUNCTIONS ===
+// Provider chosen by TTS_PROVIDER (see lib/tts), cached by content hash
+let tts;
+try {
+  tts = createTts({ storage });
+} catch (err) {
+  console.error("TTS initialization failed:", err.message);
+  process.exit(1);
+}
 
-  for (const sentence of sentences) {
-    const sentenceWithPunctuation =
-      sentence + (text[text.indexOf(sentence) + sentence.length] || ".");
+const audioJobs = createAudioJobQueue({
+  store,
+  storage,
+  synthesize: async (text, languageCode, voiceName) =>
+    (await tts.synthesize(text, languageCode, voiceName)).audio,
+  merge: mergeMp3,
+  maxAttempts: parseInt(process.env.TTS_MAX_ATTEMPTS || "5"),
+  baseDelayMs: parseInt(process.env.TTS_RETRY_DELAY_MS || "2000"),
+  onProgress: (progress) => publishTtsProgress(progress),
+});
 
-    if (
-      (currentChunk + sentenceWithPunctuation).length <= MAX_CHARS_PER_CHUNK
-    ) {
-      currentChunk += sentenceWithPunctuation;
-    } else {
-      if (currentChunk) chunks.push(currentChunk.trim());
-      currentChunk = sentenceWithPunctuation;
+// Progress on an unpublished sermon is editors-only, like changes to it.
+// Lookups are chained so events keep the order they were reported in.
+let ttsProgressQueue = Promise.resolve();
+const publishTtsProgress = (progress) => {
+  ttsProgressQueue = ttsProgressQueue.then(async () => {
+    try {
+      const sermon = await store.get("sermons", progress.sermonId);
+      events.publish("tts", "sermons", progress, {
+        editorsOnly: !sermon?.data.live,
+      });
+    } catch (err) {
+      console.error(`TTS event failed for job ${progress.jobId}:`, err);
     }
-  }
-
-  if (currentChunk.trim()) chunks.push(currentChunk.trim());
-  return chunks;
+  });
 };
 
-const generateTTSChunk = async (text, languageCode, voiceName) => {
-  const response = await fetch(
-    `https://texttospeech.googleapis.com/v1/text:synthesize?key=${process.env.GOOGLE_TTS_API_KEY}`,
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        input: { text },
-        voice: { languageCode, name: voiceName },
-        audioConfig: {
-          audioEncoding: "MP3",
-          speakingRate: 1.0,
-          pitch: 0.0,
-          volumeGainDb: 0.0,
-        },
-      }),
-    }
+// === AUTH ROUTES ===
+// Users are keyed by lowercased email. Accounts created before emails were
+// normalized may still be stored under their original casing.
+const findUser = async (email) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  return (
+    (await store.get("users", normalized)) ||
+    (normalized !== email.trim()
+      ? await store.get("users", email.trim())
+      : null)
   );
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`TTS failed: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json();
-  return data.audioContent;
 };
 
-const mergeAudioChunks = (base64Chunks) => {
-  // Simple concatenation for MP3 (works for most cases)
-  // For production, consider using ffmpeg for proper merging
-  const buffers = base64Chunks.map((chunk) => Buffer.from(chunk, "base64"));
-  return Buffer.concat(buffers);
+const sendVerificationEmail = async (email) => {
+  const token = await accountTokens.issue(
+    email,
+    "email-verification",
+    VERIFY_TOKEN_TTL_MINUTES
+  );
+  const link = `${APP_BASE_URL}/verify-email?token=${token}`;
+  await mailer.send({
+    to: email,
+    subject: "Confirm your email address",
+    text: `Welcome! Confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 48 hours.`,
+    html: `<p>Welcome! Confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 48 hours.</p>`,
+  });
 };
 
-// === AUTH ROUTES ===
-app.post("/register", async (req, res) => {
+app.post("/register", rateLimit("auth"), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
     if (!email || !password)
       return res.status(400).json({ error: "Email and password required" });
+    if (!isValidEmail(email))
+      return res.status(400).json({ error: "Invalid email address" });
 
-    const userDoc = await db.collection("users").doc(email).get();
-    if (userDoc.exists)
-      return res.status(409).json({ error: "User already exists" });
+    const problems = passwordProblems(password, email);
+    if (problems.length)
+      return res
+        .status(400)
+        .json({ error: "Password is too weak", details: problems });
+
+    const userDoc = await findUser(req.body.email);
+    if (userDoc) return res.status(409).json({ error: "User already exists" });
 
     const hashed = await bcrypt.hash(password, 10);
-    await db.collection("users").doc(email).set({
+    await store.set("users", email, {
       password: hashed,
+      emailVerified: false,
       createdAt: new Date(),
     });
 
+    try {
+      await sendVerificationEmail(email);
+    } catch (err) {
+      console.error("Verification email failed:", err);
+    }
+
     res.json({ message: "User registered successfully" });
   } catch (err) {
     console.error("Register error:", err);
@@ -749,552 +961,2083 @@ app.post("/register", async (req, res) => {
   }
 });
 
-app.post("/login", async (req, res) => {
+app.post("/login", rateLimit("auth"), async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password)
       return res.status(400).json({ error: "Email and password required" });
 
-    const userDoc = await db.collection("users").doc(email).get();
-    if (!userDoc.exists)
+    // Locked by the address typed, whether or not the account exists: for
+    // the IP the failures came from, and briefly for everyone once the
+    // account itself sees many failures
+    const accountKey = normalizeEmail(email);
+    const lockedFor = await loginGuard.lockedFor(accountKey, req.ip);
+    if (lockedFor)
+      return sendTooManyRequests(
+        res,
+        lockedFor,
+        "Too many failed logins, please try again later"
+      );
+
+    const userDoc = await findUser(email);
+    const valid =
+      !!userDoc && (await bcrypt.compare(password, userDoc.data.password));
+    if (!valid) {
+      await loginGuard.recordFailure(accountKey, req.ip);
       return res.status(401).json({ error: "Invalid credentials" });
+    }
+    await loginGuard.reset(accountKey, req.ip);
 
-    const userData = userDoc.data();
-    const valid = await bcrypt.compare(password, userData.password);
-    if (!valid) return res.status(401).json({ error: "Invalid credentials" });
+    const userData = userDoc.data;
 
-    const token = jwt.sign({ email }, JWT_SECRET, { expiresIn: "7d" });
-    res.json({ token, email });
+    const tokens = await sessions.create(userDoc.id, {
+      userAgent: req.get("user-agent") || null,
+      ip: req.ip,
+    });
+    res.json({
+      ...tokens,
+      email: userDoc.id,
+      emailVerified: userData.emailVerified === true,
+      roles: await loadRoles(store, userDoc.id),
+    });
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// === READ ROUTES WITH PAGINATIONS ===
-app.get("/api/:collection", authenticate, async (req, res) => {
+// Exchange a refresh token for a new access + refresh token pair
+app.post("/auth/refresh", rateLimit("auth"), async (req, res) => {
   try {
-    const { collection } = req.params;
-    const {
-      limit = 10,
-      category,
-      after, // Document ID to start after (cursor-based pagination)
-      sort = "createdAt",
-      order = "desc",
-    } = req.query;
-
-    console.log(
-      `GET /${collection} - Category: ${category}, After: ${after}, Limit: ${limit}`
-    );
+    const { refreshToken } = req.body;
+    if (!refreshToken)
+      return res.status(400).json({ error: "refreshToken is required" });
 
-    // Build the base query
-    let query = db.collection(collection);
+    const tokens = await sessions.refresh(refreshToken);
+    if (!tokens)
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired refresh token" });
 
-    // IMPORTANT FIX: Apply category filter BEFORE orderBy
-    if (category) {
-      console.log(`Applying category filter: ${category}`);
-      query = query.where("category", "==", category);
-    }
+    res.json(tokens);
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Apply ordering
-    query = query.orderBy(sort, order);
+// Ends the session identified by the refresh token (or the access token).
+// { allDevices: true } ends every session of the user.
+app.post("/auth/logout", async (req, res) => {
+  try {
+    const { refreshToken, allDevices = false } = req.body;
 
-    // Apply cursor pagination if 'after' is provided
-    if (after) {
+    let session = null;
+    if (refreshToken) {
+      session = await sessions.findByRefreshToken(refreshToken);
+    } else if (req.headers.authorization?.startsWith("Bearer ")) {
+      let payload = null;
       try {
-        const lastDoc = await db.collection(collection).doc(after).get();
-        if (lastDoc.exists) {
-          query = query.startAfter(lastDoc);
-          console.log(`Starting after document: ${after}`);
-        } else {
-          console.warn(`Document ${after} not found, ignoring cursor`);
-        }
-      } catch (cursorError) {
-        console.error(`Error fetching cursor document:`, cursorError);
-        // Continue without cursor if there's an error
+        payload = jwt.verify(
+          req.headers.authorization.split(" ")[1],
+          JWT_SECRET
+        );
+      } catch (err) {
+        payload = null;
+      }
+      // Same check as authenticate: a revoked session can't log out others
+      if (payload && (await sessions.isActive(payload))) {
+        session = { id: payload.sid, email: payload.email };
       }
     }
+    if (!session)
+      return res.status(401).json({ error: "Invalid or expired token" });
 
-    // Apply limit
-    query = query.limit(parseInt(limit));
-
-    // Execute query
-    const snapshot = await query.get();
-
-    console.log(`Query returned ${snapshot.docs.length} documents`);
-
-    const docs = snapshot.docs.map((doc) => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        ...data,
-        createdAt: toISO(data.createdAt),
-      };
-    });
-
-    // Get the last document for next cursor
-    const lastDoc = docs.length > 0 ? docs[docs.length - 1] : null;
-
-    const response = {
-      [collection]: docs,
-      pagination: {
-        hasMore: docs.length === parseInt(limit),
-        nextCursor: lastDoc ? lastDoc.id : null,
-        count: docs.length,
-      },
-    };
-
-    console.log(
-      `Response: ${docs.length} items, hasMore: ${response.pagination.hasMore}`
-    );
+    if (allDevices === true) {
+      const count = await sessions.revokeAll(session.email);
+      return res.json({ message: `Logged out of ${count} session(s)` });
+    }
 
-    res.json(response);
+    if (session.id) await sessions.revoke(session.id);
+    res.json({ message: "Logged out" });
   } catch (err) {
-    console.error("GET collection error:", err);
-
-    // Send detailed error in development
-    res.status(500).json({
-      error: err.message,
-      details: process.env.NODE_ENV === "development" ? err.stack : undefined,
-    });
+    console.error("Logout error:", err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ALTERNATIVE: If Firestore composite index is missing, use this fallback
-app.get("/api/:collection/no-index", authenticate, async (req, res) => {
+// Emails a password reset link. The response is the same whether or not the
+// account exists, so it can't be used to probe for members.
+app.post("/auth/forgot-password", rateLimit("auth"), async (req, res) => {
   try {
-    const { collection } = req.params;
-    const {
-      limit = 10,
-      category,
-      after,
-      sort = "createdAt",
-      order = "desc",
-    } = req.query;
-
-    console.log(`GET /${collection}/no-index - Category: ${category}`);
-
-    // Fetch all documents (or a larger batch)
-    let query = db.collection(collection);
-
-    // Only apply orderBy, no category filter in query
-    query = query.orderBy(sort, order).limit(parseInt(limit) * 10);
-
-    const snapshot = await query.get();
-
-    let docs = snapshot.docs.map((doc) => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        ...data,
-        createdAt: toISO(data.createdAt),
-      };
-    });
-
-    // Filter by category in memory (client-side filtering on server)
-    if (category) {
-      docs = docs.filter((doc) => doc.category === category);
-    }
-
-    // Apply cursor pagination in memory
-    if (after) {
-      const afterIndex = docs.findIndex((doc) => doc.id === after);
-      if (afterIndex !== -1) {
-        docs = docs.slice(afterIndex + 1);
-      }
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: "Email is required" });
+
+    const userDoc = await findUser(email);
+    if (userDoc) {
+      const token = await accountTokens.issue(
+        userDoc.id,
+        "password-reset",
+        RESET_TOKEN_TTL_MINUTES
+      );
+      const link = `${APP_BASE_URL}/reset-password?token=${token}`;
+      await mailer.send({
+        to: userDoc.id,
+        subject: "Reset your password",
+        text: `Someone asked to reset the password for this account. If it was you, open this link to choose a new password:\n\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+        html: `<p>Someone asked to reset the password for this account. If it was you, open this link to choose a new password:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`,
+      });
     }
 
-    // Apply limit
-    docs = docs.slice(0, parseInt(limit));
-
-    const lastDoc = docs.length > 0 ? docs[docs.length - 1] : null;
-
     res.json({
-      [collection]: docs,
-      pagination: {
-        hasMore: docs.length === parseInt(limit),
-        nextCursor: lastDoc ? lastDoc.id : null,
-        count: docs.length,
-      },
+      message: "If that account exists, a reset link has been sent",
     });
   } catch (err) {
-    console.error("GET collection (no-index) error:", err);
-    res.status(500).json({
-      error: err.message,
-      details: process.env.NODE_ENV === "development" ? err.stack : undefined,
-    });
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Alternative: Offset-based pagination (for simpler use cases)
-app.get("/api/:collection/offset", authenticate, async (req, res) => {
+// Sets a new password with a reset token and signs out every device
+app.post("/auth/reset-password", rateLimit("auth"), async (req, res) => {
   try {
-    const { collection } = req.params;
-    const {
-      limit = 10,
-      category,
-      page = 1,
-      sort = "createdAt",
-      order = "desc",
-    } = req.query;
-
-    let query = db.collection(collection).orderBy(sort, order);
-
-    if (category) query = query.where("category", "==", category);
-
-    // Apply offset pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const offset = (pageNum - 1) * limitNum;
-
-    // Get total count for pagination metadata
-    let totalCount = 0;
-    if (pageNum === 1) {
-      const countQuery = category
-        ? db.collection(collection).where("category", "==", category)
-        : db.collection(collection);
-      const countSnapshot = await countQuery.get();
-      totalCount = countSnapshot.size;
-    }
+    const { token, password } = req.body;
+    if (!token || !password)
+      return res.status(400).json({ error: "Token and password required" });
 
-    // Apply pagination to query
-    query = query.limit(limitNum).offset(offset);
+    // Checked before the token is used up so a weak password can be retried
+    const problems = passwordProblems(password);
+    if (problems.length)
+      return res
+        .status(400)
+        .json({ error: "Password is too weak", details: problems });
 
-    const snapshot = await query.get();
-    const docs = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: toISO(doc.data().createdAt),
-    }));
+    const email = await accountTokens.consume(token, "password-reset");
+    if (!email)
+      return res.status(400).json({ error: "Invalid or expired token" });
 
-    // Return paginated response
-    res.json({
-      [collection]: docs,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        totalCount,
-        hasMore: docs.length === limitNum,
-        totalPages: totalCount ? Math.ceil(totalCount / limitNum) : 0,
-      },
+    const userDoc = await store.get("users", email);
+    if (!userDoc) return res.status(404).json({ error: "User not found" });
+
+    // Receiving the reset email also proves the address works
+    await store.update("users", email, {
+      password: await bcrypt.hash(password, 10),
+      passwordChangedAt: new Date(),
+      emailVerified: true,
+      emailVerifiedAt: userDoc.data.emailVerifiedAt || new Date(),
     });
+    await sessions.revokeAll(email);
+    await loginGuard.reset(email, req.ip);
+
+    res.json({ message: "Password has been reset" });
   } catch (err) {
-    console.error("GET collection with offset error:", err);
+    console.error("Reset password error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/:collection/:id", authenticate, async (req, res) => {
+app.post("/auth/verify-email", rateLimit("auth"), async (req, res) => {
   try {
-    const { collection, id } = req.params;
-    const doc = await db.collection(collection).doc(id).get();
-    if (!doc.exists) return res.status(404).json({ error: "Not found" });
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: "Token is required" });
+
+    const email = await accountTokens.consume(token, "email-verification");
+    if (!email)
+      return res.status(400).json({ error: "Invalid or expired token" });
+
+    const userDoc = await store.get("users", email);
+    if (!userDoc) return res.status(404).json({ error: "User not found" });
 
-    const data = doc.data();
-    res.json({ id: doc.id, ...data, createdAt: toISO(data.createdAt) });
+    await store.update("users", email, {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    res.json({ message: "Email verified", email });
   } catch (err) {
-    console.error("GET item error:", err);
+    console.error("Verify email error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// === WRITE ROUTES ===
-const allowedCollections = [
-  "sermons",
-  "songs",
-  "videos",
-  "notices",
-  "quizResources",
-  "contactMessages",
-  "quizHelpQuestions",
-];
-
-app.post("/api/:collection", authenticate, requireAdmin, async (req, res) => {
-  try {
-    const { collection } = req.params;
-    if (!allowedCollections.includes(collection)) {
-      return res
-        .status(403)
-        .json({ error: "Operation not allowed on this collection" });
+app.post(
+  "/auth/resend-verification",
+  authenticate,
+  rateLimit("auth"),
+  async (req, res) => {
+    try {
+      const userDoc = await store.get("users", req.user.email);
+      if (!userDoc) return res.status(404).json({ error: "User not found" });
+      if (userDoc.data.emailVerified)
+        return res.status(400).json({ error: "Email is already verified" });
+
+      await sendVerificationEmail(userDoc.id);
+      res.json({ message: "Verification email sent" });
+    } catch (err) {
+      console.error("Resend verification error:", err);
+      res.status(500).json({ error: err.message });
     }
+  }
+);
 
-    const payload = {
-      ...req.body,
-      uploadedBy: req.user.email,
-      createdAt: new Date(),
-    };
+// Admins can end all sessions of a member (lost phone, removed admin)
+app.post(
+  "/auth/users/:email/revoke-sessions",
+  authenticate,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { email } = req.params;
+      const userDoc = await store.get("users", email);
+      if (!userDoc) return res.status(404).json({ error: "User not found" });
+
+      const count = await sessions.revokeAll(email);
+      await audit(req, {
+        action: "sessions.revoke",
+        collection: "users",
+        docId: email,
+        details: { count },
+      });
+      res.json({ message: `Revoked ${count} session(s)` });
+    } catch (err) {
+      console.error("Revoke sessions error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
 
-    const docRef = await db.collection(collection).add(payload);
-    res.json({ id: docRef.id, message: "Created successfully" });
-  } catch (err) {
-    console.error("POST error:", err);
-    res.status(500).json({ error: err.message });
+// === ROLES ===
+// Permission matrix, for admin screens
+app.get(
+  "/auth/roles",
+  authenticate,
+  requirePermission("users:manage"),
+  (req, res) => {
+    res.json(ROLES);
   }
-});
+);
 
-// === UPDATE & DELETE ===
-app.put(
-  "/api/:collection/:id",
+app.get(
+  "/auth/users/:email/roles",
   authenticate,
-  requireAdmin,
+  requirePermission("users:manage"),
   async (req, res) => {
     try {
-      const { collection, id } = req.params;
-      if (!allowedCollections.includes(collection)) {
-        return res.status(403).json({ error: "Operation not allowed" });
-      }
+      const userDoc = await findUser(req.params.email);
+      if (!userDoc) return res.status(404).json({ error: "User not found" });
+
+      const roles = await loadRoles(store, userDoc.id);
+      res.json({
+        email: userDoc.id,
+        roles,
+        permissions: [...permissionsFor(roles)],
+      });
+    } catch (err) {
+      console.error("Get roles error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Stores the full role list on the user, which also replaces any legacy
+// `admins` entry
+const setRoles = async (email, roles, grantedBy) => {
+  await store.set(
+    "users",
+    email,
+    { roles, rolesUpdatedAt: new Date(), rolesUpdatedBy: grantedBy },
+    { merge: true }
+  );
+};
 
-      await db
-        .collection(collection)
-        .doc(id)
-        .update({
-          ...req.body,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+app.post(
+  "/auth/users/:email/roles",
+  authenticate,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!isRole(role))
+        return res.status(400).json({
+          error: "Unknown role",
+          roles: Object.keys(ROLES),
         });
 
-      res.json({ message: "Updated successfully" });
+      const userDoc = await findUser(req.params.email);
+      if (!userDoc) return res.status(404).json({ error: "User not found" });
+
+      const before = await loadRoles(store, userDoc.id);
+      const roles = before.includes(role) ? before : [...before, role];
+      await setRoles(userDoc.id, roles, req.user.email);
+      await audit(req, {
+        action: "roles.grant",
+        collection: "users",
+        docId: userDoc.id,
+        before: { roles: before },
+        after: { roles },
+      });
+
+      res.json({ message: `Granted ${role}`, email: userDoc.id, roles });
     } catch (err) {
-      console.error("PUT error:", err);
+      console.error("Grant role error:", err);
       res.status(500).json({ error: err.message });
     }
   }
 );
 
 app.delete(
-  "/api/:collection/:id",
+  "/auth/users/:email/roles/:role",
   authenticate,
-  requireAdmin,
+  requirePermission("users:manage"),
   async (req, res) => {
     try {
-      const { collection, id } = req.params;
-      if (!allowedCollections.includes(collection)) {
-        return res.status(403).json({ error: "Operation not allowed" });
+      const { role } = req.params;
+      const userDoc = await findUser(req.params.email);
+      if (!userDoc) return res.status(404).json({ error: "User not found" });
+
+      // Keeps at least one way back in for whoever manages roles
+      if (userDoc.id === req.user.email && role === "super-admin") {
+        return res
+          .status(400)
+          .json({ error: "You cannot remove your own super-admin role" });
       }
 
-      await db.collection(collection).doc(id).delete();
+      const before = await loadRoles(store, userDoc.id);
+      const roles = before.filter((r) => r !== role);
+      await setRoles(userDoc.id, roles, req.user.email);
+      await audit(req, {
+        action: "roles.revoke",
+        collection: "users",
+        docId: userDoc.id,
+        before: { roles: before },
+        after: { roles },
+      });
 
-      res.json({ message: "Deleted successfully" });
+      res.json({ message: `Revoked ${role}`, email: userDoc.id, roles });
     } catch (err) {
-      console.error("DELETE error:", err);
+      console.error("Revoke role error:", err);
       res.status(500).json({ error: err.message });
     }
   }
 );
 
-// === FILE UPLOAD ===
-const folderSizeLimits = {
-  notices: 10,
-  sermons: 50,
-  songs: 50,
-  videos: 100,
-  thumbnails: 10,
-  profiles: 5,
-  temps: 100,
-  hymns: 10,
-  assets: 10,
+// === SEARCH ===
+// Token index in `searchIndex`, kept in sync by the write routes
+const searchIndex = createSearchIndex({
+  store,
+  cacheTtlMs: parseInt(process.env.SEARCH_CACHE_TTL_MS || "60000"),
+});
+
+// Index updates never fail the write that triggered them
+const syncSearchIndex = async (collection, id) => {
+  if (!searchableCollections[collection]) return;
+  try {
+    const doc = await store.get(collection, id);
+    if (doc) await searchIndex.upsert(collection, id, doc.data);
+    else await searchIndex.remove(collection, id);
+  } catch (err) {
+    console.error(`Search index update failed for ${collection}/${id}:`, err);
+  }
 };
 
-app.post("/upload", authenticate, upload.single("file"), async (req, res) => {
-  let tempFilePath = null;
+// GET /api/search?q=forgiveness&types=sermons,songs&limit=10&after=<cursor>
+// The last word also matches as a prefix unless q ends with a space.
+app.get("/api/search", authenticate, rateLimit("reads"), async (req, res) => {
   try {
-    const file = req.file;
-    const { path: destinationPath } = req.body;
+    const { q = "", types, limit = 10, after } = req.query;
 
-    if (!file || !destinationPath) {
+    const queryTerms = parseQuery(q);
+    if (!queryTerms.length)
       return res
         .status(400)
-        .json({ error: "File and destination path required" });
-    }
+        .json({ error: "q must contain at least one word to search for" });
+
+    const collections = types
+      ? String(types)
+          .split(",")
+          .map((type) => type.trim())
+          .filter(Boolean)
+      : Object.keys(searchableCollections);
+    const unknown = collections.find((type) => !searchableCollections[type]);
+    if (unknown)
+      return res.status(400).json({
+        error: `Unknown type "${unknown}"`,
+        types: Object.keys(searchableCollections),
+      });
 
-    tempFilePath = file.path;
-    const folder = destinationPath.split("/")[0];
-    const maxSizeMB = folderSizeLimits[folder];
+    const limitNum = Math.min(parseInt(limit) || 10, 50);
 
-    if (!maxSizeMB)
-      return res.status(400).json({ error: "Invalid upload folder" });
-    if (file.size > maxSizeMB * 1024 * 1024) {
-      return res
-        .status(400)
-        .json({ error: `File exceeds ${maxSizeMB}MB limit` });
+    // Drop drafts, scheduled and expired documents the caller can't see
+    // before paging, so pages stay full and totals don't reveal them
+    const hidden = new Set();
+    for (const collection of collections) {
+      if (!scheduledCollections.includes(collection)) continue;
+      if (await can(req, `write:${collection}`)) continue;
+      const notLive = await store.query(collection, {
+        where: [["live", "==", false]],
+      });
+      for (const { id } of notLive) hidden.add(`${collection}/${id}`);
     }
+    let matches = (await searchIndex.search(queryTerms, collections)).filter(
+      (match) => !hidden.has(`${match.collection}/${match.id}`)
+    );
+    const totalCount = matches.length;
 
-    if (
-      folder === "profiles" &&
-      !destinationPath.startsWith(`profiles/${req.user.email}`)
-    ) {
-      return res
-        .status(403)
-        .json({ error: "Cannot upload to another user's profile" });
+    // The cursor holds the type and id of the last result of the previous
+    // page, signed like list cursors and tied to this query
+    const key = queryKey({ collection: "search", where: [q, collections] });
+    if (after) {
+      const cursor = cursorCodec.decode(after, key);
+      const [afterType, afterId] = cursor?.values || [];
+      const afterIndex = matches.findIndex(
+        (match) => match.collection === afterType && match.id === afterId
+      );
+      if (afterIndex === -1)
+        return res
+          .status(400)
+          .json({ error: "Invalid cursor, or it belongs to another query" });
+      matches = matches.slice(afterIndex + 1);
+    }
+    const page = matches.slice(0, limitNum);
+
+    const results = [];
+    for (const match of page) {
+      const doc = await store.get(match.collection, match.id);
+      if (!doc) continue; // deleted since it was indexed
+
+      const { title = "" } = doc.data;
+      const snippetField = searchableCollections[match.collection].snippet;
+      results.push({
+        type: match.collection,
+        id: match.id,
+        score: match.score,
+        title,
+        titleHighlighted: highlight(String(title), queryTerms),
+        snippet: snippet(doc.data[snippetField], queryTerms),
+        createdAt: toISO(doc.data.createdAt),
+      });
     }
 
-    const [uploadedFile] = await bucket.upload(file.path, {
-      destination: destinationPath,
-      metadata: { contentType: file.mimetype },
-      public: true,
-    });
-
-    await uploadedFile.makePublic();
-    const publicUrl = `https://storage.googleapis.com/${
-      bucket.name
-    }/${encodeURIComponent(destinationPath)}`;
-
+    const hasMore = matches.length > limitNum;
+    const lastMatch = page[page.length - 1];
     res.json({
-      url: publicUrl,
-      path: destinationPath,
-      message: "Uploaded successfully",
+      results,
+      pagination: {
+        hasMore,
+        nextCursor: hasMore
+          ? cursorCodec.encode(key, "next", [
+              lastMatch.collection,
+              lastMatch.id,
+            ])
+          : null,
+        count: results.length,
+        totalCount,
+      },
     });
   } catch (err) {
-    console.error("Upload error:", err);
+    console.error("Search error:", err);
     res.status(500).json({ error: err.message });
-  } finally {
-    if (tempFilePath) {
-      await fs.unlink(tempFilePath).catch(() => {});
-    }
-  }
-});
-
-// === TTS ROUTES ===
-
-// On-demand TTS (fallback for old sermons or immediate playback)
-app.post("/api/tts/synthesize", async (req, res) => {
-  const { text, languageCode, voiceName } = req.body;
-
-  if (!text || !languageCode || !voiceName) {
-    return res.status(400).json({
-      error: "Missing required fields: text, languageCode, voiceName",
-    });
-  }
-
-  try {
-    const audioContent = await generateTTSChunk(text, languageCode, voiceName);
-    res.json({ audioContent });
-  } catch (error) {
-    console.error("TTS Error:", error);
-    res.status(500).json({ error: "TTS generation failed: " + error.message });
   }
 });
 
-// Pre-generate TTS for entire sermon (MAIN ENDPOINT)
+// Rebuilds the index, e.g. for documents written before search existed
 app.post(
-  "/api/sermons/:id/generate-audio",
+  "/api/search/reindex",
   authenticate,
-  requireAdmin,
+  requirePermission("search:manage"),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const { languageCode = "en-US", voiceName = "en-US-Neural2-F" } =
-        req.body;
-
-      console.log(`Starting TTS generation for sermon ${id}`);
-
-      // Get sermon
-      const sermonDoc = await db.collection("sermons").doc(id).get();
-      if (!sermonDoc.exists) {
-        return res.status(404).json({ error: "Sermon not found" });
+      const indexed = {};
+      for (const collection of Object.keys(searchableCollections)) {
+        indexed[collection] = await searchIndex.rebuild(collection);
       }
+      res.json({ message: "Search index rebuilt", indexed });
+    } catch (err) {
+      console.error("Reindex error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
 
-      const sermonData = sermonDoc.data();
+// === READ ROUTES WITH PAGINATIONS ===
+// Checks the collection's read policy (lib/readPolicies.js) and prepares
+// req.readView: which fields the caller gets back
+const canReadCollection = async (req, res, next) => {
+  const policy = policyFor(req.params.collection);
+  if (!policy) return res.status(404).json({ error: "Collection not found" });
 
-      // Check if already generated
-      if (sermonData.ttsAudioUrl) {
-        console.log(`Sermon ${id} already has TTS audio`);
-        return res.json({
-          url: sermonData.ttsAudioUrl,
-          cached: true,
-          message: "Audio already exists",
-        });
-      }
+  const fields = parseFields(req.query.fields);
+  if (fields?.error) return res.status(400).json({ error: fields.error });
 
-      // Check if content exists
-      if (!sermonData.content) {
+  try {
+    if (policy.permission && !(await can(req, policy.permission))) {
+      return res
+        .status(403)
+        .json({ error: "Permission denied", required: policy.permission });
+    }
+    const isEditor = await can(req, `write:${req.params.collection}`);
+    req.readView = {
+      hiddenFields: isEditor ? [] : policy.hiddenFields,
+      fields,
+    };
+    req.isEditor = isEditor;
+    next();
+  } catch (err) {
+    console.error("Read policy check failed:", err);
+    return res.status(500).json({ error: "Failed to verify permissions" });
+  }
+};
+
+const toReadDoc = (req) => (doc) =>
+  projectDocument(toResponseDoc(doc), req.readView);
+
+// Notices carry the caller's own read state as `isRead`
+const noticeReads = createNoticeReads({ store });
+
+const withReadState = async (req, collection, docs) => {
+  if (collection !== "notices") return docs;
+  const read = await noticeReads.readAmong(
+    req.user.email,
+    docs.map(({ id }) => id)
+  );
+  return docs.map((doc) => ({ ...doc, isRead: read.has(doc.id) }));
+};
+
+// Validates filters and sort (lib/listFilters.js) into req.listQuery
+const parseListQuery = (req, res, next) => {
+  const { collection } = req.params;
+  const filters = parseFilters(collection, req.query);
+  if (filters.error) return res.status(400).json(filters);
+  const sort = parseSort(collection, req.query);
+  if (sort.error) return res.status(400).json(sort);
+
+  // Members only get what is live right now. Editors see drafts,
+  // scheduled and expired items by filtering on status, e.g.
+  // ?status.in=draft,published,archived for everything. `live` with each
+  // sort field has a composite index in firestore.indexes.json; other
+  // filter combinations report missing-index until one is added.
+  const where = [...filters.where];
+  if (
+    scheduledCollections.includes(collection) &&
+    !(req.isEditor && where.some(([field]) => field === "status"))
+  ) {
+    where.push(["live", "==", true]);
+  }
+
+  req.listQuery = { where, orderBy: sort.orderBy };
+  next();
+};
+
+// List cursors are signed so clients can't forge positions
+const cursorCodec = createCursorCodec(process.env.CURSOR_SECRET || JWT_SECRET, {
+  timestamp: store.timestamp,
+});
+
+// Pagination block of a page from fetchPage (lib/pagination.js)
+const paginationFor = (
+  key,
+  orderBy,
+  limit,
+  { docs, hasMore, hasPrevious, totalCount }
+) => {
+  const first = docs[0];
+  const last = docs[docs.length - 1];
+  return {
+    limit,
+    count: docs.length,
+    totalCount,
+    hasMore,
+    hasPrevious,
+    nextCursor:
+      hasMore && last
+        ? cursorCodec.encode(key, "next", cursorValues(last, orderBy))
+        : null,
+    prevCursor:
+      hasPrevious && first
+        ? cursorCodec.encode(key, "prev", cursorValues(first, orderBy))
+        : null,
+  };
+};
+
+// Missing Firestore indexes and unsupported filter combinations are the
+// caller's query, not a server fault
+const sendQueryError = (res, err) => {
+  const described = describeQueryError(err);
+  if (!described) return false;
+  res.status(described.status).json(described.body);
+  return true;
+};
+
+// GET /api/:collection?limit=10&cursor=<token>&sort=date&order=desc
+// nextCursor/prevCursor page forwards and backwards; `page` gives
+// numbered pages instead. /no-index and /offset are the older list routes,
+// kept for existing clients and served by the same implementation.
+const MAX_PAGE_SIZE = 100;
+
+app.get(
+  ["/api/:collection", "/api/:collection/no-index", "/api/:collection/offset"],
+  authenticate,
+  rateLimit("reads"),
+  canReadCollection,
+  parseListQuery,
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const { where, orderBy } = req.listQuery;
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 10, 1),
+        MAX_PAGE_SIZE
+      );
+      const key = queryKey({ collection, where, orderBy });
+
+      // `after` is the old name; it may also hold a plain document id
+      const token = req.query.cursor || req.query.after;
+      let cursor = null;
+      if (token) {
+        cursor = cursorCodec.decode(token, key);
+        if (!cursor && /^[\w-]+$/.test(token)) {
+          const afterDoc = await store.get(collection, token);
+          if (afterDoc) {
+            cursor = {
+              direction: "next",
+              values: cursorValues(afterDoc, orderBy),
+            };
+          }
+        }
+        if (!cursor)
+          return res
+            .status(400)
+            .json({ error: "Invalid cursor, or it belongs to another query" });
+      }
+
+      const pageNum = cursor ? null : parseInt(req.query.page) || null;
+      if (pageNum !== null && pageNum < 1)
+        return res.status(400).json({ error: "page must be 1 or more" });
+
+      const page = await fetchPage(store, collection, {
+        where,
+        orderBy,
+        limit,
+        cursor,
+        offset: pageNum ? (pageNum - 1) * limit : 0,
+      });
+
+      const pagination = paginationFor(key, orderBy, limit, page);
+      if (pageNum) {
+        pagination.page = pageNum;
+        pagination.totalPages = Math.ceil(page.totalCount / limit);
+      }
+
+      res.json({
+        [collection]: await withReadState(
+          req,
+          collection,
+          page.docs.map(toReadDoc(req))
+        ),
+        pagination,
+      });
+    } catch (err) {
+      console.error("GET collection error:", err);
+      if (sendQueryError(res, err)) return;
+
+      // Send detailed error in development
+      res.status(500).json({
+        error: err.message,
+        details: process.env.NODE_ENV === "development" ? err.stack : undefined,
+      });
+    }
+  }
+);
+
+app.get(
+  "/api/:collection/:id",
+  authenticate,
+  rateLimit("reads"),
+  canReadCollection,
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      const doc = await store.get(collection, id);
+      if (!doc) return res.status(404).json({ error: "Not found" });
+      if (
+        scheduledCollections.includes(collection) &&
+        !req.isEditor &&
+        !isLive(doc.data)
+      ) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      const [readDoc] = await withReadState(req, collection, [
+        toReadDoc(req)(doc),
+      ]);
+      res.json(readDoc);
+    } catch (err) {
+      console.error("GET item error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === WRITE ROUTES ===
+// Writable collections are the ones with a declared schema (lib/schemas.js)
+const allowedCollections = Object.keys(collectionSchemas);
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({ error: "Validation failed", errors });
+
+// Undeclared fields are dropped with a warning until clients have caught
+// up; SCHEMA_UNKNOWN_FIELDS=reject turns them into validation errors
+const UNKNOWN_FIELDS = process.env.SCHEMA_UNKNOWN_FIELDS || "drop";
+if (!["drop", "reject"].includes(UNKNOWN_FIELDS)) {
+  console.error(`Unknown SCHEMA_UNKNOWN_FIELDS "${UNKNOWN_FIELDS}"`);
+  process.exit(1);
+}
+
+const validate = (req, collection, input, options = {}) => {
+  const result = validateDocument(collection, input, {
+    ...options,
+    unknownFields: UNKNOWN_FIELDS,
+  });
+  if (result.dropped.length)
+    console.warn(
+      `Dropped unknown ${collection} fields from ${
+        req.ip
+      }: ${result.dropped.join(", ")}`
+    );
+  return result;
+};
+
+app.post(
+  "/api/:collection",
+  authenticate,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      if (!allowedCollections.includes(collection)) {
+        return res
+          .status(403)
+          .json({ error: "Operation not allowed on this collection" });
+      }
+
+      const { errors, value } = validate(req, collection, req.body);
+      if (errors.length) return sendValidationErrors(res, errors);
+
+      // updatedAt is set from the start so sorting by it finds new documents
+      const now = new Date();
+      const payload = {
+        ...value,
+        uploadedBy: req.user.email,
+        createdAt: now,
+        updatedAt: now,
+      };
+      if (scheduledCollections.includes(collection)) {
+        const problem = scheduleProblem(payload);
+        if (problem) return res.status(400).json({ error: problem });
+        Object.assign(payload, publishingFields(payload, { creating: true }));
+      }
+
+      const id = await store.add(collection, payload);
+      await syncSearchIndex(collection, id);
+      await emitChange(collection, id, "created");
+      if (payload.live) push.notifyPublished(collection, id); // in background
+      await audit(req, {
+        action: "create",
+        collection,
+        docId: id,
+        after: payload,
+      });
+      res.json({ id, message: "Created successfully" });
+    } catch (err) {
+      console.error("POST error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === UPDATE & DELETE ===
+app.put(
+  "/api/:collection/:id",
+  authenticate,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      if (!allowedCollections.includes(collection)) {
+        return res.status(403).json({ error: "Operation not allowed" });
+      }
+
+      const { errors, value } = validate(req, collection, req.body, {
+        partial: true,
+      });
+      if (errors.length) return sendValidationErrors(res, errors);
+
+      const current = await store.get(collection, id);
+      if (!current) return res.status(404).json({ error: "Not found" });
+
+      let publishingUpdates = {};
+      if (scheduledCollections.includes(collection)) {
+        const next = { ...current.data, ...value };
+        const problem = scheduleProblem(next);
+        if (problem) return res.status(400).json({ error: problem });
+        publishingUpdates = publishingFields(next);
+      }
+
+      // Editing sermon content makes audio built from the old text stale
+      let audioUpdates = {};
+      if (collection === "sermons" && value.content !== undefined) {
+        audioUpdates = staleVariantUpdates(id, current.data, value.content);
+      }
+
+      // Keep the text being replaced so the edit can be undone
+      if (
+        versionedCollections.includes(collection) &&
+        Object.keys(
+          diffVersions(collection, current.data, { ...current.data, ...value })
+        ).length
+      ) {
+        await versions.snapshot(collection, id, current.data, {
+          replacedBy: req.user.email,
+        });
+      }
+
+      await store.update(collection, id, {
+        ...value,
+        ...audioUpdates,
+        ...publishingUpdates,
+        updatedBy: req.user.email,
+        updatedAt: store.serverTimestamp(),
+      });
+      await syncSearchIndex(collection, id);
+      await emitChange(collection, id, "updated", current.data);
+      if (publishingUpdates.live && !current.data.live) {
+        push.notifyPublished(collection, id); // in background
+      }
+
+      const updated = await store.get(collection, id);
+      await audit(req, {
+        action: "update",
+        collection,
+        docId: id,
+        before: current.data,
+        after: updated?.data,
+      });
+
+      res.json({ message: "Updated successfully" });
+    } catch (err) {
+      console.error("PUT error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/:collection/:id",
+  authenticate,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      if (!allowedCollections.includes(collection)) {
+        return res.status(403).json({ error: "Operation not allowed" });
+      }
+
+      // Soft delete: restorable from /trash until it is purged
+      const removed = await trash.moveToTrash(collection, id, req.user.email);
+      if (!removed) return res.status(404).json({ error: "Not found" });
+      await syncSearchIndex(collection, id);
+      await emitChange(collection, id, "deleted", removed);
+      await audit(req, {
+        action: "delete",
+        collection,
+        docId: id,
+        before: removed,
+      });
+
+      res.json({ message: "Moved to trash" });
+    } catch (err) {
+      console.error("DELETE error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === TRASH ===
+// Deleted documents stay here for TRASH_RETENTION_DAYS, then are purged
+// together with their storage files
+const trash = createTrash({
+  store,
+  storage,
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || "30"),
+  onPurge: async (collection, docId) => {
+    if (collection === "sermons") await audioJobs.removeForSermon(docId);
+    if (versionedCollections.includes(collection)) {
+      await versions.removeAll(collection, docId);
+    }
+  },
+});
+
+const requireManagedCollection = (req, res, next) => {
+  if (!allowedCollections.includes(req.params.collection)) {
+    return res.status(403).json({ error: "Operation not allowed" });
+  }
+  next();
+};
+
+app.get(
+  "/trash/:collection",
+  authenticate,
+  requireManagedCollection,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      // Composite index: collection + deletedAt (firestore.indexes.json)
+      const where = [["collection", "==", collection]];
+      const orderBy = [["deletedAt", "desc"]];
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 20, 1),
+        MAX_PAGE_SIZE
+      );
+      const key = queryKey({ collection: TRASH_COLLECTION, where, orderBy });
+
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = cursorCodec.decode(req.query.cursor, key);
+        if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      }
+
+      const page = await fetchPage(store, TRASH_COLLECTION, {
+        where,
+        orderBy,
+        limit,
+        cursor,
+      });
+      res.json({
+        trash: page.docs.map(({ data: entry }) => ({
+          ...toResponseDoc({ id: entry.docId, data: entry.data }),
+          deletedAt: toISO(entry.deletedAt),
+          deletedBy: entry.deletedBy,
+          purgeAfter: toISO(entry.purgeAfter),
+        })),
+        pagination: paginationFor(key, orderBy, limit, page),
+      });
+    } catch (err) {
+      console.error("List trash error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/trash/:collection/:id/restore",
+  authenticate,
+  requireManagedCollection,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      const result = await trash.restore(collection, id);
+      if (result === "missing")
+        return res.status(404).json({ error: "Not found in trash" });
+      if (result === "conflict")
+        return res
+          .status(409)
+          .json({ error: "A document with this id exists again" });
+
+      await syncSearchIndex(collection, id);
+      await emitChange(collection, id, "created");
+      await audit(req, { action: "restore", collection, docId: id });
+      res.json({ id, message: "Restored successfully" });
+    } catch (err) {
+      console.error("Restore error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Permanent delete before the retention period is up
+app.delete(
+  "/trash/:collection/:id",
+  authenticate,
+  requireManagedCollection,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      if (!(await trash.purge(collection, id)))
+        return res.status(404).json({ error: "Not found in trash" });
+      await audit(req, { action: "purge", collection, docId: id });
+
+      res.json({ message: "Deleted permanently" });
+    } catch (err) {
+      console.error("Purge error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === SCHEDULED PUBLISHING ===
+// Sermons and notices can be drafts or scheduled (lib/publishing.js); the
+// sweep started at listen keeps their `live` flag in step with the clock
+const publisher = createPublisher({
+  store,
+  onChange: async (collection, id, live) => {
+    // Members hear about both flips, so pass the state before it
+    await emitChange(collection, id, "updated", { live: !live });
+    if (live) await push.notifyPublished(collection, id);
+  },
+});
+
+// === VERSION HISTORY ===
+// Earlier versions of sermons and songs, saved by PUT /api/:collection/:id.
+// "current" stands for the live document wherever a version is expected.
+const versions = createVersionHistory({ store });
+
+const requireVersionedCollection = (req, res, next) => {
+  if (!versionedCollections.includes(req.params.collection)) {
+    return res
+      .status(404)
+      .json({ error: "This collection has no version history" });
+  }
+  next();
+};
+
+// Resolves a version number or "current" to the fields it holds, or null
+const loadVersion = async (collection, id, current, version) => {
+  if (version === "current") return pickFields(collection, current.data);
+  if (!/^[1-9]\d*$/.test(version)) return null;
+  const saved = await versions.get(collection, id, Number(version));
+  return saved ? saved.data : null;
+};
+
+const toVersionSummary = (version) => ({
+  number: version.number,
+  editedBy: version.editedBy,
+  editedAt: version.editedAt ? toISO(version.editedAt) : null,
+  replacedBy: version.replacedBy,
+  replacedAt: toISO(version.replacedAt),
+  change: version.change,
+  revertedTo: version.revertedTo,
+});
+
+// GET /api/sermons/:id/versions?limit=&cursor=  newest first
+app.get(
+  "/api/:collection/:id/versions",
+  authenticate,
+  requireVersionedCollection,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      const current = await store.get(collection, id);
+      if (!current) return res.status(404).json({ error: "Not found" });
+
+      const path = versionsPath(collection, id);
+      const orderBy = [["number", "desc"]];
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 20, 1),
+        MAX_PAGE_SIZE
+      );
+      const key = queryKey({ collection: path, where: [], orderBy });
+
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = cursorCodec.decode(req.query.cursor, key);
+        if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      }
+
+      const page = await fetchPage(store, path, {
+        where: [],
+        orderBy,
+        limit,
+        cursor,
+      });
+      res.json({
+        versions: page.docs.map(({ data }) => toVersionSummary(data)),
+        pagination: paginationFor(key, orderBy, limit, page),
+      });
+    } catch (err) {
+      console.error("List versions error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// GET /api/sermons/:id/versions/diff?from=3&to=current
+app.get(
+  "/api/:collection/:id/versions/diff",
+  authenticate,
+  requireVersionedCollection,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      const { from, to = "current" } = req.query;
+      if (!from) return res.status(400).json({ error: "from is required" });
+
+      const current = await store.get(collection, id);
+      if (!current) return res.status(404).json({ error: "Not found" });
+
+      const before = await loadVersion(collection, id, current, String(from));
+      const after = await loadVersion(collection, id, current, String(to));
+      if (!before || !after)
+        return res.status(404).json({ error: "Version not found" });
+
+      res.json({
+        from: String(from),
+        to: String(to),
+        changes: serializeValue(diffVersions(collection, before, after)),
+      });
+    } catch (err) {
+      console.error("Diff versions error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/:collection/:id/versions/:version",
+  authenticate,
+  requireVersionedCollection,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id, version } = req.params;
+      if (!/^[1-9]\d*$/.test(version))
+        return res.status(400).json({ error: "Invalid version number" });
+
+      const saved = await versions.get(collection, id, Number(version));
+      if (!saved) return res.status(404).json({ error: "Version not found" });
+
+      res.json({
+        ...toVersionSummary(saved),
+        data: serializeValue(saved.data),
+      });
+    } catch (err) {
+      console.error("Get version error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Puts an earlier version back. The text it replaces is saved as a new
+// version, so a revert can itself be undone.
+app.post(
+  "/api/:collection/:id/versions/:version/revert",
+  authenticate,
+  requireVersionedCollection,
+  canWriteCollection,
+  async (req, res) => {
+    try {
+      const { collection, id, version } = req.params;
+      if (!/^[1-9]\d*$/.test(version))
+        return res.status(400).json({ error: "Invalid version number" });
+
+      const current = await store.get(collection, id);
+      if (!current) return res.status(404).json({ error: "Not found" });
+      const saved = await versions.get(collection, id, Number(version));
+      if (!saved) return res.status(404).json({ error: "Version not found" });
+
+      const restored = {};
+      for (const field of versionedFields(collection)) {
+        restored[field] =
+          saved.data[field] === undefined
+            ? store.deleteField()
+            : saved.data[field];
+      }
+
+      let audioUpdates = {};
+      if (collection === "sermons") {
+        audioUpdates = staleVariantUpdates(
+          id,
+          current.data,
+          saved.data.content
+        );
+      }
+
+      const number = await versions.snapshot(collection, id, current.data, {
+        replacedBy: req.user.email,
+        change: "revert",
+        revertedTo: saved.number,
+      });
+      await store.update(collection, id, {
+        ...restored,
+        ...audioUpdates,
+        updatedBy: req.user.email,
+        updatedAt: store.serverTimestamp(),
+      });
+      await syncSearchIndex(collection, id);
+      await emitChange(collection, id, "updated", current.data);
+
+      const updated = await store.get(collection, id);
+      await audit(req, {
+        action: "revert",
+        collection,
+        docId: id,
+        before: current.data,
+        after: updated?.data,
+        details: { revertedTo: saved.number, savedAs: number },
+      });
+
+      res.json({
+        message: `Reverted to version ${saved.number}`,
+        version: number,
+      });
+    } catch (err) {
+      console.error("Revert error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === AUDIT LOG ===
+// GET /audit?actor=&action=&collection=&docId=&from=&to=&limit=&cursor=
+app.get(
+  "/audit",
+  authenticate,
+  requirePermission("audit:read"),
+  async (req, res) => {
+    try {
+      const { actor, action, collection, docId, from, to } = req.query;
+      const where = [];
+      if (actor) where.push(["actor", "==", normalizeEmail(actor)]);
+      if (action) where.push(["action", "==", action]);
+      if (collection) where.push(["collection", "==", collection]);
+      if (docId) where.push(["docId", "==", docId]);
+      for (const [param, op, value] of [
+        ["from", ">=", from],
+        ["to", "<=", to],
+      ]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime()))
+          return res.status(400).json({ error: `${param} must be a date` });
+        where.push(["createdAt", op, date]);
+      }
+
+      // Each equality filter with createdAt has a composite index in
+      // firestore.indexes.json; combining several needs another
+      const orderBy = [["createdAt", "desc"]];
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 50, 1),
+        MAX_PAGE_SIZE
+      );
+      const key = queryKey({ collection: AUDIT_COLLECTION, where, orderBy });
+
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = cursorCodec.decode(req.query.cursor, key);
+        if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      }
+
+      const page = await fetchPage(store, AUDIT_COLLECTION, {
+        where,
+        orderBy,
+        limit,
+        cursor,
+      });
+      res.json({
+        entries: page.docs.map(toResponseDoc),
+        pagination: paginationFor(key, orderBy, limit, page),
+      });
+    } catch (err) {
+      console.error("Audit log error:", err);
+      if (sendQueryError(res, err)) return;
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === SUBMISSIONS ===
+// Contact messages and quiz help questions sent by members (or anyone, with
+// ALLOW_ANONYMOUS_SUBMISSIONS=true). Spam checks live in lib/submissions.js.
+const submissionGuard = createSubmissionGuard({ store });
+const allowAnonymousSubmissions =
+  process.env.ALLOW_ANONYMOUS_SUBMISSIONS === "true";
+
+const authenticateSubmitter = (req, res, next) => {
+  if (!req.headers.authorization && allowAnonymousSubmissions) {
+    req.user = null;
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+app.post(
+  "/submissions/:collection",
+  authenticateSubmitter,
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const type = submissionTypes[collection];
+      if (!type)
+        return res.status(404).json({ error: "Unknown submission type" });
+
+      const { [HONEYPOT_FIELD]: honeypot, ...input } = req.body || {};
+      const email = req.user?.email || null;
+
+      // Bots fill every field; let them think it worked
+      if (honeypot) {
+        console.warn(`Honeypot submission to ${collection} from ${req.ip}`);
+        return res.json({ message: "Submitted successfully" });
+      }
+
+      // Signed-in members' submissions always carry their own address; an
+      // email in the body is ignored
+      if (email && collectionSchemas[collection].email) {
+        input.email = email;
+      }
+
+      const { errors, value } = validate(req, collection, input);
+      if (errors.length) return sendValidationErrors(res, errors);
+
+      const key = submitterKey({ email, ip: req.ip });
+      const contentHash = hashContent(value[type.contentField]);
+      const rejection = await submissionGuard.check(collection, {
+        key,
+        anonymous: !email,
+        contentHash,
+      });
+      if (rejection)
+        return res.status(rejection.status).json({ error: rejection.error });
+
+      const id = await store.add(collection, {
+        ...value,
+        submittedBy: email,
+        submitterKey: key,
+        contentHash,
+        createdAt: new Date(),
+      });
+      await emitChange(collection, id, "created");
+      res.json({ id, message: "Submitted successfully" });
+    } catch (err) {
+      console.error("Submission error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// The caller's own submissions, newest first
+app.get("/submissions/:collection/mine", authenticate, async (req, res) => {
+  try {
+    const { collection } = req.params;
+    if (!submissionTypes[collection])
+      return res.status(404).json({ error: "Unknown submission type" });
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const results = await store.query(collection, {
+      where: [["submittedBy", "==", req.user.email]],
+      orderBy: [["createdAt", "desc"]],
+      limit,
+    });
+    const docs = results.map((doc) =>
+      projectDocument(toResponseDoc(doc), { hiddenFields: INTERNAL_FIELDS })
+    );
+
+    res.json({ [collection]: docs, count: docs.length });
+  } catch (err) {
+    console.error("List submissions error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === FILE UPLOAD ===
+const folderSizeLimits = {
+  notices: 10,
+  sermons: 50,
+  songs: 50,
+  videos: 100,
+  thumbnails: 10,
+  profiles: 5,
+  temps: 100,
+  hymns: 10,
+  assets: 10,
+};
+
+// A member's own profile pictures: "profiles/<email>.<ext>" or anything
+// under "profiles/<email>/"
+const ownsProfilePath = (email, destination) => {
+  const own = `profiles/${email}`;
+  if (!destination.startsWith(own)) return false;
+  const rest = destination.slice(own.length);
+  return rest === "" || rest.startsWith("/") || /^\.[^./]+$/.test(rest);
+};
+
+// Checks the folder, size limit and permission for writing `destination`.
+// Returns null when allowed, otherwise { status, error, ... } to send back.
+const checkUploadTarget = async (req, destination, size) => {
+  const pathProblem = destinationProblem(destination);
+  if (pathProblem) return { status: 400, error: pathProblem };
+
+  const folder = destination.split("/")[0];
+  const maxSizeMB = folderSizeLimits[folder];
+
+  if (!maxSizeMB) return { status: 400, error: "Invalid upload folder" };
+  if (size > maxSizeMB * 1024 * 1024) {
+    return { status: 400, error: `File exceeds ${maxSizeMB}MB limit` };
+  }
+
+  // Members manage their own profile picture; other folders need an
+  // upload permission for that folder
+  if (folder === "profiles") {
+    if (!ownsProfilePath(req.user.email, destination)) {
+      return { status: 403, error: "Cannot upload to another user's profile" };
+    }
+  } else if (!(await can(req, `upload:${folder}`))) {
+    return {
+      status: 403,
+      error: "Permission denied",
+      required: `upload:${folder}`,
+    };
+  }
+  return null;
+};
+
+// The real type of an upload, from its first bytes (lib/fileTypes.js).
+// Returns { path, contentType } with a safe file name, or { status, error }.
+const inspectUpload = (email, destination, head) => {
+  const folder = destination.split("/")[0];
+  const contentType = detectFileType(head);
+  const problem = fileTypeProblem(folder, contentType);
+  if (problem) return { status: 415, error: problem };
+
+  // The name may have changed, so check the owner again
+  const finalPath = safeDestination(destination, contentType);
+  if (folder === "profiles" && !ownsProfilePath(email, finalPath)) {
+    return { status: 403, error: "Cannot upload to another user's profile" };
+  }
+  return { path: finalPath, contentType };
+};
+
+app.post(
+  "/upload",
+  authenticate,
+  rateLimit("upload"),
+  upload.single("file"),
+  async (req, res) => {
+    let tempFilePath = null;
+    try {
+      const file = req.file;
+      const { path: destinationPath } = req.body;
+
+      if (!file || !destinationPath) {
+        return res
+          .status(400)
+          .json({ error: "File and destination path required" });
+      }
+
+      tempFilePath = file.path;
+      const rejection = await checkUploadTarget(
+        req,
+        destinationPath,
+        file.size
+      );
+      if (rejection) {
+        const { status, ...body } = rejection;
+        return res.status(status).json(body);
+      }
+
+      // The client's mimetype and file name aren't trusted
+      const inspected = inspectUpload(
+        req.user.email,
+        destinationPath,
+        await readFileHead(file.path)
+      );
+      if (inspected.error) {
+        const { status, ...body } = inspected;
+        return res.status(status).json(body);
+      }
+
+      const publicUrl = await storage.upload(file.path, inspected.path, {
+        contentType: inspected.contentType,
+      });
+      await audit(req, {
+        action: "upload",
+        details: {
+          path: inspected.path,
+          size: file.size,
+          contentType: inspected.contentType,
+        },
+      });
+
+      res.json({
+        url: publicUrl,
+        path: inspected.path,
+        contentType: inspected.contentType,
+        message: "Uploaded successfully",
+      });
+    } catch (err) {
+      console.error("Upload error:", err);
+      res.status(500).json({ error: err.message });
+    } finally {
+      if (tempFilePath) {
+        await fs.unlink(tempFilePath).catch(() => {});
+      }
+    }
+  }
+);
+
+// === RESUMABLE UPLOADS ===
+// For large files on flaky connections (lib/uploads.js):
+//   POST   /uploads                { path, size, sha256 }
+//   PUT    /uploads/:id?offset=N   raw bytes of the next part
+//   GET    /uploads/:id            bytes received so far, to resume from
+//   POST   /uploads/:id/complete   { sha256 } if not given at the start
+//   DELETE /uploads/:id            abort
+// The file's type is checked on the first part and again on completion,
+// and the caller's right to the destination once more before it is stored.
+const MAX_PART_MB = parseInt(process.env.UPLOAD_PART_MAX_MB || "8");
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+const uploadSessions = createUploadSessions({
+  store,
+  storage,
+  tmpDir: "tmp/uploads",
+  ttlHours: parseInt(process.env.UPLOAD_SESSION_HOURS || "24"),
+  maxOpenSessions: parseInt(process.env.UPLOAD_MAX_OPEN_SESSIONS || "5"),
+  checkFile: async (filePath, session) =>
+    inspectUpload(session.email, session.path, await readFileHead(filePath)),
+});
+
+const toSessionResponse = (session) => ({
+  uploadId: session.id,
+  path: session.path,
+  size: session.size,
+  received: session.received,
+  expiresAt: toISO(session.expiresAt),
+  maxPartBytes: MAX_PART_MB * 1024 * 1024,
+});
+
+// Loads the caller's session into req.uploadSession
+const loadUploadSession = async (req, res, next) => {
+  try {
+    const session = await uploadSessions.get(req.params.id, req.user.email);
+    if (!session)
+      return res.status(404).json({ error: "Upload session not found" });
+    req.uploadSession = session;
+    next();
+  } catch (err) {
+    console.error("Upload session error:", err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+app.post("/uploads", authenticate, rateLimit("upload"), async (req, res) => {
+  try {
+    const { path: destination, size, sha256 = null } = req.body || {};
+
+    if (!Number.isInteger(size) || size < 1)
+      return res
+        .status(400)
+        .json({ error: "size must be the file size in bytes" });
+    if (sha256 !== null && !SHA256_PATTERN.test(sha256))
+      return res
+        .status(400)
+        .json({ error: "sha256 must be a hex SHA-256 digest" });
+
+    const rejection = await checkUploadTarget(req, destination, size);
+    if (rejection) {
+      const { status, ...body } = rejection;
+      return res.status(status).json(body);
+    }
+
+    const session = await uploadSessions.create({
+      email: req.user.email,
+      path: destination,
+      size,
+      sha256,
+    });
+    if (session.error) {
+      const { status, ...body } = session;
+      return res.status(status).json(body);
+    }
+    res.json(toSessionResponse(session));
+  } catch (err) {
+    console.error("Start upload error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/uploads/:id", authenticate, loadUploadSession, (req, res) =>
+  res.json(toSessionResponse(req.uploadSession))
+);
+
+app.put(
+  "/uploads/:id",
+  authenticate,
+  rateLimit("uploadParts"),
+  express.raw({ type: () => true, limit: `${MAX_PART_MB}mb` }),
+  loadUploadSession,
+  async (req, res) => {
+    try {
+      const offset = Number(req.query.offset);
+      if (!Number.isInteger(offset) || offset < 0)
         return res
           .status(400)
-          .json({ error: "Sermon has no content to generate audio from" });
+          .json({ error: "offset must be a byte position" });
+      if (!Buffer.isBuffer(req.body) || !req.body.length)
+        return res.status(400).json({ error: "Part body is empty" });
+
+      const session = req.uploadSession;
+      // Refuse a wrong file type before the rest of it is sent
+      if (offset === 0) {
+        const inspected = inspectUpload(
+          session.email,
+          session.path,
+          req.body.subarray(0, HEAD_BYTES)
+        );
+        if (inspected.error) {
+          const { status, ...body } = inspected;
+          return res.status(status).json(body);
+        }
       }
 
-      // Split into chunks
-      const chunks = splitTextIntoChunks(sermonData.content);
-      console.log(`Split sermon into ${chunks.length} chunks`);
-
-      // Generate TTS for each chunk
-      const audioChunks = [];
-      for (let i = 0; i < chunks.length; i++) {
-        console.log(`Generating chunk ${i + 1}/${chunks.length}`);
-        const audioContent = await generateTTSChunk(
-          chunks[i],
-          languageCode,
-          voiceName
-        );
-        audioChunks.push(audioContent);
-      }
+      const result = await uploadSessions.writePart(session, offset, req.body);
+      if (result.error) {
+        const { status, ...body } = result;
+        return res.status(status).json(body);
+      }
+      res.json({ received: result.received, size: session.size });
+    } catch (err) {
+      console.error("Upload part error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/uploads/:id/complete",
+  authenticate,
+  loadUploadSession,
+  async (req, res) => {
+    try {
+      const { sha256 = null } = req.body || {};
+      if (sha256 !== null && !SHA256_PATTERN.test(sha256))
+        return res
+          .status(400)
+          .json({ error: "sha256 must be a hex SHA-256 digest" });
+
+      const session = req.uploadSession;
+      // Permissions may have changed since the session was started
+      const rejection = await checkUploadTarget(
+        req,
+        session.path,
+        session.size
+      );
+      if (rejection) {
+        const { status, ...body } = rejection;
+        return res.status(status).json(body);
+      }
+
+      const result = await uploadSessions.complete(session, sha256);
+      if (result.error) {
+        const { status, ...body } = result;
+        return res.status(status).json(body);
+      }
+
+      await audit(req, {
+        action: "upload",
+        details: {
+          path: result.path,
+          size: session.size,
+          contentType: result.contentType,
+          resumable: true,
+        },
+      });
+      res.json({
+        url: result.url,
+        path: result.path,
+        contentType: result.contentType,
+        message: "Uploaded successfully",
+      });
+    } catch (err) {
+      console.error("Complete upload error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/uploads/:id",
+  authenticate,
+  loadUploadSession,
+  async (req, res) => {
+    try {
+      await uploadSessions.abort(req.uploadSession);
+      res.json({ message: "Upload aborted" });
+    } catch (err) {
+      console.error("Abort upload error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === TTS ROUTES ===
 
-      // Merge audio chunks
-      console.log("Merging audio chunks...");
-      const mergedAudio = mergeAudioChunks(audioChunks);
-
-      // Upload to Firebase Storage
-      const audioPath = `sermons/tts/${id}_${languageCode}.mp3`;
-      const file = bucket.file(audioPath);
-
-      await file.save(mergedAudio, {
-        contentType: "audio/mpeg",
-        public: true,
-        metadata: {
-          contentType: "audio/mpeg",
-          metadata: {
-            generatedAt: new Date().toISOString(),
-            languageCode,
-            voiceName,
-            chunkCount: chunks.length,
-          },
-        },
-      });
+// On-demand TTS (fallback for old sermons or immediate playback)
+app.post(
+  "/api/tts/synthesize",
+  authenticate,
+  rateLimit("tts"),
+  async (req, res) => {
+    const { text, languageCode, voiceName } = req.body;
 
-      await file.makePublic();
-      const publicUrl = `https://storage.googleapis.com/${
-        bucket.name
-      }/${encodeURIComponent(audioPath)}`;
-
-      // Update sermon document
-      await db.collection("sermons").doc(id).update({
-        ttsAudioUrl: publicUrl,
-        ttsGeneratedAt: new Date(),
-        ttsLanguageCode: languageCode,
-        ttsVoiceName: voiceName,
+    if (!text || !languageCode || !voiceName) {
+      return res.status(400).json({
+        error: "Missing required fields: text, languageCode, voiceName",
+      });
+    }
+    // Longer texts go through generate-audio, which splits them
+    if (Buffer.byteLength(String(text)) > MAX_BYTES_PER_CHUNK) {
+      return res.status(413).json({
+        error: `Text exceeds ${MAX_BYTES_PER_CHUNK} bytes`,
       });
+    }
 
-      console.log(`TTS generation complete for sermon ${id}`);
-      res.json({
-        url: publicUrl,
-        cached: false,
-        chunks: chunks.length,
-        message: "Audio generated successfully",
+    try {
+      const { audio, cached } = await tts.synthesize(
+        text,
+        languageCode,
+        voiceName
+      );
+      res.json({ audioContent: audio.toString("base64"), cached });
+    } catch (error) {
+      console.error("TTS Error:", error);
+      res
+        .status(500)
+        .json({ error: "TTS generation failed: " + error.message });
+    }
+  }
+);
+
+// Queues generation of one audio variant (language + voice) unless audio
+// for the current content already exists or a job is in progress.
+// Resolves to [httpStatus, body].
+const queueSermonAudio = async (
+  id,
+  sermonData,
+  { languageCode, voiceName, force = false }
+) => {
+  const key = variantKey(languageCode, voiceName);
+  const variant = listVariants(id, sermonData)[key];
+  const hash = contentHash(sermonData.content);
+
+  // Check if already generated from the current content
+  if (!force && isCurrent(variant, hash)) {
+    console.log(`Sermon ${id} already has TTS audio for ${key}`);
+    return [
+      200,
+      {
+        url: variant.url,
+        variant: key,
+        cached: true,
+        message: "Audio already exists",
+      },
+    ];
+  }
+
+  // Reuse a job that is still in progress, resume one that failed
+  const existingJob = variant?.jobId
+    ? await audioJobs.get(variant.jobId)
+    : null;
+  if (existingJob && ["queued", "running"].includes(existingJob.status)) {
+    return [
+      202,
+      {
+        jobId: existingJob.id,
+        variant: key,
+        status: existingJob.status,
+        message: "Audio generation already in progress",
+      },
+    ];
+  }
+  if (
+    !force &&
+    existingJob?.status === "failed" &&
+    existingJob.contentHash === hash
+  ) {
+    await audioJobs.retry(existingJob.id);
+    console.log(`Resuming TTS job ${existingJob.id} for sermon ${id}`);
+    return [
+      202,
+      {
+        jobId: existingJob.id,
+        variant: key,
+        status: "queued",
+        chunks: existingJob.chunksTotal,
+        message: "Audio generation resumed",
+      },
+    ];
+  }
+
+  // Check if content exists
+  if (!sermonData.content) {
+    return [400, { error: "Sermon has no content to generate audio from" }];
+  }
+
+  // Split into chunks
+  const chunks = splitTextIntoChunks(sermonData.content);
+  console.log(`Split sermon into ${chunks.length} chunks`);
+
+  const jobId = await audioJobs.create({
+    sermonId: id,
+    languageCode,
+    voiceName,
+    content: sermonData.content,
+    chunks,
+  });
+  await store.update("sermons", id, {
+    ttsJobId: jobId,
+    [`ttsVariants.${key}.languageCode`]: languageCode,
+    [`ttsVariants.${key}.voiceName`]: voiceName,
+    [`ttsVariants.${key}.jobId`]: jobId,
+  });
+
+  console.log(`Queued TTS job ${jobId} for sermon ${id} (${key})`);
+  return [
+    202,
+    {
+      jobId,
+      variant: key,
+      status: "queued",
+      chunks: chunks.length,
+      message: "Audio generation queued",
+    },
+  ];
+};
+
+// Variant as returned by the API, with live job progress
+const describeVariant = async (key, variant) => {
+  const job = variant.jobId ? await audioJobs.get(variant.jobId) : null;
+  const generating = job && ["queued", "running"].includes(job.status);
+
+  let status = "missing";
+  if (generating) status = job.status;
+  else if (variant.url) status = variant.outdated ? "outdated" : "ready";
+  else if (job?.status === "failed") status = "failed";
+
+  return {
+    key,
+    languageCode: variant.languageCode,
+    voiceName: variant.voiceName,
+    // queued | running | failed | ready | outdated
+    status,
+    url: variant.url || null,
+    generatedAt: variant.generatedAt ? toISO(variant.generatedAt) : null,
+    duration: variant.duration ?? null,
+    chunkOffsets: variant.chunkOffsets || null,
+    legacy: !!variant.legacy,
+    jobId: job ? job.id : null,
+    chunksCompleted: job ? job.chunksCompleted : null,
+    chunksTotal: job ? job.chunksTotal : null,
+    error: job?.error || null,
+  };
+};
+
+// Pre-generate TTS for entire sermon (MAIN ENDPOINT)
+// Queues a background job and returns right away; poll audio-status.
+app.post(
+  "/api/sermons/:id/generate-audio",
+  authenticate,
+  rateLimit("tts"),
+  requirePermission("tts:generate"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        languageCode = "en-US",
+        voiceName = "en-US-Neural2-F",
+        force = false,
+      } = req.body;
+
+      // Get sermon
+      const sermonDoc = await store.get("sermons", id);
+      if (!sermonDoc) {
+        return res.status(404).json({ error: "Sermon not found" });
+      }
+
+      const [status, body] = await queueSermonAudio(id, sermonDoc.data, {
+        languageCode,
+        voiceName,
+        force: force === true,
       });
+      if (status === 202) {
+        await audit(req, {
+          action: "tts.generate",
+          collection: "sermons",
+          docId: id,
+          details: {
+            variant: body.variant,
+            jobId: body.jobId,
+            result: body.message,
+          },
+        });
+      }
+      res.status(status).json(body);
     } catch (error) {
       console.error("TTS generation error:", error);
       res
         .status(500)
-        .json({ error: "Failed to generate audio: " + error.message });
+        .json({ error: "Failed to queue audio generation: " + error.message });
+    }
+  }
+);
+
+// List audio variants (one per language + voice)
+app.get("/api/sermons/:id/audio-variants", authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sermonDoc = await store.get("sermons", id);
+    if (!sermonDoc) {
+      return res.status(404).json({ error: "Sermon not found" });
+    }
+
+    const variants = await Promise.all(
+      Object.entries(listVariants(id, sermonDoc.data)).map(([key, variant]) =>
+        describeVariant(key, variant)
+      )
+    );
+    res.json({ variants });
+  } catch (error) {
+    console.error("List audio variants error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Regenerate one variant, even if its audio is current
+app.post(
+  "/api/sermons/:id/audio-variants/:variant/regenerate",
+  authenticate,
+  rateLimit("tts"),
+  requirePermission("tts:generate"),
+  async (req, res) => {
+    try {
+      const { id, variant: key } = req.params;
+      const sermonDoc = await store.get("sermons", id);
+      if (!sermonDoc) {
+        return res.status(404).json({ error: "Sermon not found" });
+      }
+
+      const variant = listVariants(id, sermonDoc.data)[key];
+      if (!variant) {
+        return res.status(404).json({ error: "Audio variant not found" });
+      }
+
+      const [status, body] = await queueSermonAudio(id, sermonDoc.data, {
+        languageCode: variant.languageCode,
+        voiceName: variant.voiceName,
+        force: true,
+      });
+      if (status === 202) {
+        await audit(req, {
+          action: "tts.regenerate",
+          collection: "sermons",
+          docId: id,
+          details: { variant: key, jobId: body.jobId, result: body.message },
+        });
+      }
+      res.status(status).json(body);
+    } catch (error) {
+      console.error("Regenerate audio variant error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/sermons/:id/audio-variants/:variant",
+  authenticate,
+  requirePermission("tts:generate"),
+  async (req, res) => {
+    try {
+      const { id, variant: key } = req.params;
+      const sermonDoc = await store.get("sermons", id);
+      if (!sermonDoc) {
+        return res.status(404).json({ error: "Sermon not found" });
+      }
+
+      const { data } = sermonDoc;
+      const variant = listVariants(id, data)[key];
+      if (!variant) {
+        return res.status(404).json({ error: "Audio variant not found" });
+      }
+
+      const job = variant.jobId ? await audioJobs.get(variant.jobId) : null;
+      if (job && ["queued", "running"].includes(job.status)) {
+        return res
+          .status(409)
+          .json({ error: "Audio generation for this variant is in progress" });
+      }
+
+      if (variant.path) await storage.delete(variant.path);
+
+      const updates = {};
+      if (data.ttsVariants?.[key]) {
+        updates[`ttsVariants.${key}`] = store.deleteField();
+      }
+      if (variant.url && data.ttsAudioUrl === variant.url) {
+        updates.ttsAudioUrl = null;
+      }
+      if (Object.keys(updates).length) {
+        await store.update("sermons", id, updates);
+      }
+      await audit(req, {
+        action: "tts.delete",
+        collection: "sermons",
+        docId: id,
+        details: { variant: key, path: variant.path },
+      });
+
+      res.json({ message: "Audio variant deleted" });
+    } catch (error) {
+      console.error("Delete audio variant error:", error);
+      res.status(500).json({ error: error.message });
     }
   }
 );
 
 // Check TTS generation status
+// ?languageCode=&voiceName= selects a variant, default is the latest job
 app.get("/api/sermons/:id/audio-status", authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const sermonDoc = await db.collection("sermons").doc(id).get();
+    const { languageCode, voiceName } = req.query;
+    const sermonDoc = await store.get("sermons", id);
 
-    if (!sermonDoc.exists) {
+    if (!sermonDoc) {
       return res.status(404).json({ error: "Sermon not found" });
     }
 
-    const data = sermonDoc.data();
+    const { data } = sermonDoc;
+    if (languageCode && voiceName) {
+      const key = variantKey(languageCode, voiceName);
+      const variant = listVariants(id, data)[key];
+      if (!variant) {
+        return res.json({ hasAudio: false, variant: key, status: null });
+      }
+      const described = await describeVariant(key, variant);
+      return res.json({
+        hasAudio: described.status === "ready",
+        variant: key,
+        ...described,
+      });
+    }
+
+    const job = data.ttsJobId ? await audioJobs.get(data.ttsJobId) : null;
+
     res.json({
       hasAudio: !!data.ttsAudioUrl,
       url: data.ttsAudioUrl || null,
       generatedAt: data.ttsGeneratedAt ? toISO(data.ttsGeneratedAt) : null,
       languageCode: data.ttsLanguageCode || null,
+      duration: data.ttsDuration ?? null,
+      chunkOffsets: data.ttsChunkOffsets || null,
+      // queued | running | failed | done (null if never generated)
+      status: job ? job.status : data.ttsAudioUrl ? "done" : null,
+      jobId: job ? job.id : null,
+      chunksCompleted: job ? job.chunksCompleted : null,
+      chunksTotal: job ? job.chunksTotal : null,
+      error: job?.error || null,
     });
   } catch (error) {
     console.error("Status check error:", error);
@@ -1303,43 +3046,348 @@ app.get("/api/sermons/:id/audio-status", authenticate, async (req, res) => {
 });
 
 // === READ NOTICES TRACKING ===
-app.post("/api/users/:userId/readNotices", authenticate, async (req, res) => {
+// /api/users/:userId routes act on the caller's own data; users:manage
+// can act on anyone's
+const requireOwnUser = async (req, res, next) => {
   try {
-    const { userId } = req.params;
-    const { noticeId } = req.body;
+    if (
+      req.params.userId === req.user.email ||
+      (await can(req, "users:manage"))
+    ) {
+      return next();
+    }
+    res.status(403).json({ error: "You can only access your own data" });
+  } catch (err) {
+    console.error("Permission check failed:", err);
+    res.status(500).json({ error: "Failed to verify permissions" });
+  }
+};
+
+// Body: { noticeId }, { noticeIds: [...] } or { all: true }
+app.post(
+  "/api/users/:userId/readNotices",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { noticeId, noticeIds, all } = req.body || {};
 
-    if (!noticeId)
-      return res.status(400).json({ error: "noticeId is required" });
+      if (all === true) {
+        const marked = await noticeReads.markAllRead(userId);
+        return res.json({ message: "Marked all as read", marked });
+      }
 
-    const readRef = db
-      .collection("users")
-      .doc(userId)
-      .collection("readNotices")
-      .doc(noticeId);
-    await readRef.set({ readAt: new Date() }, { merge: true });
+      const ids = noticeIds ?? (noticeId ? [noticeId] : null);
+      if (
+        !Array.isArray(ids) ||
+        !ids.length ||
+        ids.length > MAX_BULK_IDS ||
+        !ids.every((id) => typeof id === "string" && /^[\w-]+$/.test(id))
+      ) {
+        return res.status(400).json({
+          error: `noticeId, noticeIds (1 to ${MAX_BULK_IDS} ids) or all: true is required`,
+        });
+      }
 
-    res.json({ message: "Marked as read" });
-  } catch (err) {
-    console.error("Mark read error:", err);
-    res.status(500).json({ error: err.message });
+      const marked = await noticeReads.markRead(userId, ids);
+      if (noticeId && !noticeIds && !marked.length)
+        return res.status(404).json({ error: "Notice not found" });
+
+      res.json({ message: "Marked as read", marked });
+    } catch (err) {
+      console.error("Mark read error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/users/:userId/readNotices",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      // A bare array of notice ids, as clients have always had; the badge
+      // count is GET .../readNotices/unread-count
+      const reads = await noticeReads.list(req.params.userId);
+      res.json(reads.map(({ noticeId }) => noticeId));
+    } catch (err) {
+      console.error("Fetch read notices error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Badge count: live notices the member hasn't read
+app.get(
+  "/api/users/:userId/readNotices/unread-count",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      res.json(await noticeReads.unreadCount(req.params.userId));
+    } catch (err) {
+      console.error("Unread count error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Mark unread
+app.delete(
+  "/api/users/:userId/readNotices/:noticeId",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      const { userId, noticeId } = req.params;
+      if (!(await noticeReads.markUnread(userId, noticeId)))
+        return res.status(404).json({ error: "Notice is not marked as read" });
+      res.json({ message: "Marked as unread" });
+    } catch (err) {
+      console.error("Mark unread error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// === PUSH NOTIFICATIONS ===
+// Devices and topic subscriptions per user. Notices and sermons are
+// announced once, when they go live (lib/push).
+const push = createPushNotifier({ store });
+
+// Body: { token, platform }
+app.post(
+  "/api/users/:userId/devices",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      const { token, platform = null } = req.body || {};
+      if (
+        typeof token !== "string" ||
+        !token.trim() ||
+        token.length > MAX_TOKEN_LENGTH
+      )
+        return res.status(400).json({ error: "token is required" });
+      if (platform !== null && !PLATFORMS.includes(platform))
+        return res
+          .status(400)
+          .json({ error: `platform must be one of: ${PLATFORMS.join(", ")}` });
+
+      const id = await push.registerDevice(req.params.userId, token, platform);
+      res.json({ id, message: "Device registered" });
+    } catch (err) {
+      console.error("Register device error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/users/:userId/devices",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      const devices = await push.listDevices(req.params.userId);
+      res.json({
+        devices: devices.map((device) => ({
+          ...device,
+          createdAt: toISO(device.createdAt),
+          lastSeenAt: toISO(device.lastSeenAt),
+        })),
+      });
+    } catch (err) {
+      console.error("List devices error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// The token goes URL-encoded in the path, e.g. on logout
+app.delete(
+  "/api/users/:userId/devices/:token",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      const { userId, token } = req.params;
+      if (!(await push.unregisterDevice(userId, token)))
+        return res.status(404).json({ error: "Device not registered" });
+      res.json({ message: "Device unregistered" });
+    } catch (err) {
+      console.error("Unregister device error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/users/:userId/push-topics",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      res.json({
+        topics: await push.getTopics(req.params.userId),
+        available: PUSH_TOPICS,
+      });
+    } catch (err) {
+      console.error("Get push topics error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Body: { topics: ["notices", "youth", ...] }; [] turns pushes off
+app.put(
+  "/api/users/:userId/push-topics",
+  authenticate,
+  requireOwnUser,
+  async (req, res) => {
+    try {
+      const { topics } = req.body || {};
+      if (!Array.isArray(topics) || topics.some((t) => !PUSH_TOPICS[t]))
+        return res.status(400).json({
+          error: "topics must be a list of available topics",
+          available: Object.keys(PUSH_TOPICS),
+        });
+
+      const unique = [...new Set(topics)];
+      await push.setTopics(req.params.userId, unique);
+      res.json({ topics: unique, message: "Subscriptions updated" });
+    } catch (err) {
+      console.error("Set push topics error:", err);
+      res.status(500).json({ error: err.message });
+    }
   }
+);
+
+// === EVENT STREAM ===
+// GET /events?channels=sermons,notices  (Server-Sent Events, lib/events.js)
+//   event: change  { collection, id, action: created | updated | deleted }
+//   event: tts     sermon audio job progress, on the sermons channel
+//   event: reset   missed events can't be replayed; refetch everything
+// Channels are collections; each needs the collection's read permission,
+// and changes to drafts (and their audio progress) only go to its editors.
+const events = createEventBus({
+  bufferSize: parseInt(process.env.EVENT_BUFFER_SIZE || "1000"),
 });
 
-app.get("/api/users/:userId/readNotices", authenticate, async (req, res) => {
+// Announces a document change. `before` is the document before the write,
+// so members also hear when a live one is unpublished or deleted.
+const emitChange = async (collection, id, action, before = null) => {
   try {
-    const { userId } = req.params;
-    const snapshot = await db
-      .collection("users")
-      .doc(userId)
-      .collection("readNotices")
-      .get();
-    const readIds = snapshot.docs.map((doc) => doc.id);
-    res.json(readIds);
+    let editorsOnly = false;
+    if (scheduledCollections.includes(collection)) {
+      const doc = action === "deleted" ? null : await store.get(collection, id);
+      editorsOnly = !before?.live && !doc?.data.live;
+    }
+    events.publish(
+      "change",
+      collection,
+      { collection, id, action },
+      { editorsOnly }
+    );
   } catch (err) {
-    console.error("Fetch read notices error:", err);
-    res.status(500).json({ error: err.message });
+    console.error(`Change event failed for ${collection}/${id}:`, err);
   }
-});
+};
+
+// EventSource can't set headers, so the access token may come as
+// ?access_token= instead
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+const HEARTBEAT_MS = 25000;
+
+app.get(
+  "/events",
+  tokenFromQuery,
+  authenticate,
+  rateLimit("reads"),
+  async (req, res) => {
+    // What this subscriber may receive, decided once per connection
+    const access = {};
+    try {
+      const requested = req.query.channels
+        ? String(req.query.channels)
+            .split(",")
+            .map((channel) => channel.trim())
+            .filter(Boolean)
+        : Object.keys(readPolicies);
+      const unknown = requested.find((channel) => !policyFor(channel));
+      if (unknown)
+        return res.status(400).json({
+          error: `Unknown channel "${unknown}"`,
+          channels: Object.keys(readPolicies),
+        });
+
+      for (const collection of requested) {
+        const { permission } = policyFor(collection);
+        if (permission && !(await can(req, permission))) continue;
+        access[collection] = { editor: await can(req, `write:${collection}`) };
+      }
+      if (!Object.keys(access).length)
+        return res
+          .status(403)
+          .json({ error: "No permission for the requested channels" });
+    } catch (err) {
+      console.error("Event stream error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx would hold events back otherwise
+    });
+    res.write("retry: 5000\n\n");
+
+    const send = (event) => {
+      const channel = access[event.collection];
+      if (channel && (!event.editorsOnly || channel.editor)) {
+        res.write(formatEvent(event));
+      }
+    };
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = events.since(lastEventId);
+      if (missed) missed.forEach(send);
+      else
+        res.write(
+          `id: ${events.lastId()}\nevent: reset\ndata: ${JSON.stringify({
+            at: new Date().toISOString(),
+          })}\n\n`
+        );
+    }
+    const unsubscribe = events.subscribe(send);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    // Ending with the access token makes the client come back with a
+    // fresh one; Last-Event-ID covers the gap
+    // (capped: longer delays overflow setTimeout and fire at once)
+    const expiry = req.user.exp
+      ? setTimeout(
+          () => res.end(),
+          Math.min(req.user.exp * 1000 - Date.now(), 2 ** 31 - 1)
+        )
+      : null;
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    });
+  }
+);
 
 // === HEALTH CHECK ===
 app.get("/health", (req, res) => {
@@ -1348,12 +3396,61 @@ app.get("/health", (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // Body parser rejections (bad JSON, upload part over the size limit)
+  if (err.expose && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
   console.error("Unhandled error:", err);
   res.status(500).json({ error: "Internal server error" });
 });
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  audioJobs
+    .resume()
+    .then((count) => count && console.log(`Resumed ${count} TTS job(s)`))
+    .catch((err) => console.error("Failed to resume TTS jobs:", err));
+
+  const purgeTrash = () =>
+    trash
+      .purgeExpired()
+      .then((count) => count && console.log(`Purged ${count} trash item(s)`))
+      .catch((err) => console.error("Trash purge failed:", err));
+  purgeTrash();
+  setInterval(
+    purgeTrash,
+    parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || "60") * 60000
+  ).unref();
+
+  const purgeUploads = () =>
+    uploadSessions
+      .purgeExpired()
+      .then(
+        (count) => count && console.log(`Removed ${count} abandoned upload(s)`)
+      )
+      .catch((err) => console.error("Upload cleanup failed:", err));
+  purgeUploads();
+  setInterval(purgeUploads, 3600000).unref();
+
+  // Scheduled items go live, and expired ones drop off, on this sweep
+  const publishDue = () =>
+    publisher
+      .sweep()
+      .then(
+        (count) => count && console.log(`Published/expired ${count} item(s)`)
+      )
+      .catch((err) => console.error("Publishing sweep failed:", err));
+  publisher
+    .backfill()
+    .then(
+      (count) => count && console.log(`Backfilled status on ${count} item(s)`)
+    )
+    .catch((err) => console.error("Publishing backfill failed:", err))
+    .then(publishDue);
+  setInterval(
+    publishDue,
+    parseInt(process.env.PUBLISH_SWEEP_SECONDS || "60") * 1000
+  ).unref();
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`Pagination endpoints available:`);
   console.log(`- GET /api/:collection (cursor-based)`);
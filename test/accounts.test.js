@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  normalizeEmail,
+  isValidEmail,
+  passwordProblems,
+  createAccountTokens,
+} = require("../lib/accounts");
+
+test("emails are trimmed and lowercased", () => {
+  assert.equal(normalizeEmail("  John@X.com "), "john@x.com");
+  assert.equal(normalizeEmail(undefined), "");
+  assert.equal(isValidEmail("john@x.com"), true);
+  assert.equal(isValidEmail("john@x"), false);
+});
+
+test("passwords need length, letters and numbers", () => {
+  assert.deepEqual(passwordProblems("grace2024"), []);
+  assert.deepEqual(passwordProblems("short1"), ["Use at least 8 characters"]);
+  assert.deepEqual(passwordProblems("onlyletters"), [
+    "Use both letters and numbers",
+  ]);
+  assert.ok(
+    passwordProblems("x1".repeat(65)).includes("Use at most 128 characters")
+  );
+  assert.deepEqual(passwordProblems(12345678), ["Password must be a string"]);
+});
+
+test("common passwords and the email itself are refused", () => {
+  assert.ok(passwordProblems("Password1").includes("Password is too common"));
+  assert.ok(
+    passwordProblems("john1@x.com", " John1@X.com").includes(
+      "Password must not be your email"
+    )
+  );
+});
+
+test("tokens work once, for their purpose only", async () => {
+  const store = createLocalStore();
+  const tokens = createAccountTokens({ store });
+  const token = await tokens.issue("a@x.com", "reset", 60);
+
+  assert.equal(await tokens.consume(token, "verify"), null);
+  assert.equal(await tokens.consume(token, "reset"), "a@x.com");
+  assert.equal(await tokens.consume(token, "reset"), null);
+  assert.equal(await tokens.consume("made-up", "reset"), null);
+  assert.equal(await tokens.consume(undefined, "reset"), null);
+});
+
+test("only a hash of the token is stored", async () => {
+  const store = createLocalStore();
+  const token = await createAccountTokens({ store }).issue(
+    "a@x.com",
+    "reset",
+    60
+  );
+  const [stored] = await store.query("authTokens");
+  assert.notEqual(stored.id, token);
+  assert.ok(!JSON.stringify(stored.data).includes(token));
+});
+
+test("expired tokens are refused", async (t) => {
+  const store = createLocalStore();
+  const tokens = createAccountTokens({ store });
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-10-19") });
+  const token = await tokens.issue("a@x.com", "verify", 30);
+  t.mock.timers.tick(30 * 60000);
+  assert.equal(await tokens.consume(token, "verify"), null);
+});
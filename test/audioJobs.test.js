@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const { createAudioJobQueue } = require("../lib/audioJobs");
+
+// In-memory stand-in for the storage backend that remembers save options
+const memoryStorage = () => {
+  const files = new Map();
+  const options = new Map();
+  return {
+    files,
+    options,
+    read: async (destination) => files.get(destination),
+    save: async (destination, buffer, saveOptions = {}) => {
+      files.set(destination, buffer);
+      options.set(destination, saveOptions);
+      return `https://files.test/${destination}`;
+    },
+    delete: async (destination) => {
+      files.delete(destination);
+    },
+  };
+};
+
+const merge = (buffers) => ({
+  buffer: Buffer.concat(buffers),
+  duration: buffers.length,
+  offsets: buffers.map((_, i) => i),
+});
+
+// `settled()` resolves with the next progress event that ends a job
+const setup = async ({ synthesize, maxAttempts } = {}) => {
+  const store = createLocalStore();
+  const storage = memoryStorage();
+  let settle = () => {};
+  const settled = () => new Promise((resolve) => (settle = resolve));
+  const queue = createAudioJobQueue({
+    store,
+    storage,
+    synthesize: synthesize || (async (text) => Buffer.from(text)),
+    merge,
+    maxAttempts,
+    baseDelayMs: 0,
+    onProgress: (progress) => {
+      if (["done", "failed"].includes(progress.status)) settle(progress);
+    },
+  });
+  await store.set("sermons", "s1", { title: "Grace", content: "Grace." });
+  return { store, storage, queue, settled };
+};
+
+test.beforeEach((t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+});
+
+test("chunk parts are private and removed once the audio is merged", async () => {
+  const { store, storage, queue, settled } = await setup();
+  const parts = [];
+  const save = storage.save;
+  storage.save = async (destination, buffer, options) => {
+    if (destination.includes("/parts/")) parts.push({ destination, options });
+    return save(destination, buffer, options);
+  };
+
+  const finished = settled();
+  await queue.create({
+    sermonId: "s1",
+    languageCode: "en-US",
+    voiceName: "voice",
+    content: "Grace.",
+    chunks: ["a", "b", "c"],
+  });
+  const result = await finished;
+
+  assert.equal(result.status, "done");
+  assert.equal(parts.length, 3);
+  for (const { options } of parts) assert.equal(options.public, false);
+  // Parts are removed right after the "done" report
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.ok(![...storage.files.keys()].some((key) => key.includes("/parts/")));
+
+  const sermon = await store.get("sermons", "s1");
+  const [variant] = Object.values(sermon.data.ttsVariants);
+  assert.equal(variant.outdated, false);
+  assert.equal(storage.files.get(variant.path).toString(), "abc");
+  assert.notEqual(storage.options.get(variant.path).public, false);
+});
+
+test("a failed job retries from the first missing chunk", async () => {
+  const calls = [];
+  let broken = true;
+  const { queue, settled } = await setup({
+    maxAttempts: 1,
+    synthesize: async (text) => {
+      calls.push(text);
+      if (text === "b" && broken) throw new Error("quota");
+      return Buffer.from(text);
+    },
+  });
+
+  const failed = settled();
+  const jobId = await queue.create({
+    sermonId: "s1",
+    languageCode: "en-US",
+    voiceName: "voice",
+    content: "Grace.",
+    chunks: ["a", "b", "c"],
+  });
+  assert.equal((await failed).status, "failed");
+  assert.equal((await queue.get(jobId)).chunksCompleted, 1);
+
+  broken = false;
+  const done = settled();
+  await queue.retry(jobId);
+  assert.equal((await done).status, "done");
+
+  assert.deepEqual(calls, ["a", "b", "b", "c"]);
+  assert.equal((await queue.get(jobId)).status, "done");
+});
+
+test("audio finished after an edit is stored as outdated", async () => {
+  const { store, queue, settled } = await setup({
+    synthesize: async (text) => {
+      await store.update("sermons", "s1", { content: "Edited." });
+      return Buffer.from(text);
+    },
+  });
+
+  const finished = settled();
+  await queue.create({
+    sermonId: "s1",
+    languageCode: "en-US",
+    voiceName: "voice",
+    content: "Grace.",
+    chunks: ["a"],
+  });
+  await finished;
+
+  const sermon = await store.get("sermons", "s1");
+  const [variant] = Object.values(sermon.data.ttsVariants);
+  assert.equal(variant.outdated, true);
+  assert.equal(sermon.data.ttsAudioUrl, undefined);
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  variantKey,
+  contentHash,
+  variantPath,
+  listVariants,
+  isCurrent,
+  staleVariantUpdates,
+} = require("../lib/audioVariants");
+
+const variant = (content, extra = {}) => ({
+  languageCode: "en-US",
+  voiceName: "en-US-Neural2-F",
+  url: "https://files.test/a.mp3",
+  contentHash: contentHash(content),
+  outdated: false,
+  ...extra,
+});
+
+test("variant keys are safe as map keys and paths", () => {
+  assert.equal(variantKey("en-US", "en-US.Voice/1"), "en-US_en-US-Voice-1");
+  assert.equal(
+    variantPath("s1", variantKey("en-US", "v")),
+    "sermons/tts/s1_en-US_v.mp3"
+  );
+});
+
+test("flat fields of older sermons show up as a legacy variant", () => {
+  const variants = listVariants("s1", {
+    ttsAudioUrl: "https://files.test/old.mp3",
+    ttsLanguageCode: "en-US",
+    ttsVoiceName: "v",
+    ttsDuration: 0,
+  });
+  const legacy = variants["en-US_v"];
+  assert.equal(legacy.legacy, true);
+  assert.equal(legacy.contentHash, null);
+  assert.equal(legacy.duration, 0);
+  assert.equal(legacy.path, "sermons/tts/s1_en-US.mp3");
+});
+
+test("a stored variant wins over the flat fields", () => {
+  const stored = variant("Grace.");
+  const variants = listVariants("s1", {
+    ttsVariants: { "en-US_v": stored },
+    ttsAudioUrl: stored.url,
+    ttsLanguageCode: "en-US",
+    ttsVoiceName: "v",
+  });
+  assert.deepEqual(variants, { "en-US_v": stored });
+});
+
+test("isCurrent needs a url, the same text and no outdated flag", () => {
+  const hash = contentHash("Grace.");
+  assert.equal(isCurrent(variant("Grace."), hash), true);
+  assert.equal(isCurrent(variant("Grace.", { contentHash: null }), hash), true);
+  assert.equal(isCurrent(variant("Other."), hash), false);
+  assert.equal(isCurrent(variant("Grace.", { outdated: true }), hash), false);
+  assert.equal(isCurrent(variant("Grace.", { url: null }), hash), false);
+  assert.equal(isCurrent(undefined, hash), false);
+});
+
+test("editing the content marks older variants outdated", () => {
+  const current = variant("Grace.");
+  const updates = staleVariantUpdates(
+    "s1",
+    {
+      content: "Grace.",
+      ttsVariants: {
+        "en-US_v": current,
+        "es-ES_v": variant("Edited.", { url: "https://files.test/es.mp3" }),
+      },
+      ttsAudioUrl: current.url,
+    },
+    "Edited."
+  );
+  assert.deepEqual(updates, {
+    "ttsVariants.en-US_v.outdated": true,
+    ttsAudioUrl: null,
+  });
+});
+
+test("saving the same content leaves variants alone", () => {
+  const updates = staleVariantUpdates(
+    "s1",
+    { content: "Grace.", ttsVariants: { "en-US_v": variant("Grace.") } },
+    "Grace."
+  );
+  assert.deepEqual(updates, {});
+});
+
+test("legacy audio is taken to match the stored content", () => {
+  const sermon = {
+    content: "Grace.",
+    ttsAudioUrl: "https://files.test/old.mp3",
+    ttsLanguageCode: "en-US",
+    ttsVoiceName: "v",
+  };
+  const updates = staleVariantUpdates("s1", sermon, "Edited.");
+  assert.equal(updates["ttsVariants.en-US_v"].outdated, true);
+  assert.equal(updates["ttsVariants.en-US_v"].legacy, undefined);
+  assert.equal(updates.ttsAudioUrl, null);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  AUDIT_COLLECTION,
+  diffFields,
+  createAuditLog,
+} = require("../lib/audit");
+
+test("diffs list changed, added and removed fields", () => {
+  assert.deepEqual(
+    diffFields(
+      { title: "Old", preacher: "Ann", tags: ["a"] },
+      { title: "New", tags: ["a"], scripture: "John 1" }
+    ),
+    {
+      title: { before: "Old", after: "New" },
+      preacher: { before: "Ann", after: null },
+      scripture: { before: null, after: "John 1" },
+    }
+  );
+});
+
+test("dates compare by value and updatedAt is ignored", () => {
+  assert.deepEqual(
+    diffFields(
+      { date: new Date("2026-10-18"), updatedAt: new Date(1) },
+      {
+        date: { toDate: () => new Date("2026-10-18") },
+        updatedAt: new Date(2),
+      }
+    ),
+    {}
+  );
+});
+
+test("creates and deletes diff against nothing", () => {
+  assert.deepEqual(diffFields(null, { title: "New" }), {
+    title: { before: null, after: "New" },
+  });
+  assert.deepEqual(diffFields({ title: "Old" }, null), {
+    title: { before: "Old", after: null },
+  });
+});
+
+test("long text is shortened", () => {
+  const { content } = diffFields(
+    { content: "" },
+    { content: "x".repeat(2500) }
+  );
+  assert.equal(content.after.length, 2000 + "… (500 more characters)".length);
+  assert.ok(content.after.endsWith("… (500 more characters)"));
+});
+
+test("record stores who did what", async () => {
+  const store = createLocalStore();
+  const audit = createAuditLog({ store });
+  await audit.record({
+    actor: "a@x.com",
+    action: "update",
+    collection: "songs",
+    docId: "s1",
+    before: { title: "Old" },
+    after: { title: "New" },
+    ip: "1.1.1.1",
+  });
+  await audit.record({
+    actor: "a@x.com",
+    action: "upload",
+    details: { path: "videos/a.mp4", at: new Date("2026-10-18") },
+  });
+
+  const [update, upload] = (await store.query(AUDIT_COLLECTION)).map(
+    ({ data }) => data
+  );
+  assert.equal(update.actor, "a@x.com");
+  assert.deepEqual(update.changes, { title: { before: "Old", after: "New" } });
+  assert.equal(update.ip, "1.1.1.1");
+  assert.ok(update.createdAt instanceof Date);
+  assert.deepEqual(upload.changes, {});
+  assert.deepEqual(upload.details, {
+    path: "videos/a.mp4",
+    at: "2026-10-18T00:00:00.000Z",
+  });
+});
+
+test("a failed write is logged, not thrown", async (t) => {
+  const errors = [];
+  t.mock.method(console, "error", (...args) => errors.push(args));
+  const store = {
+    add: async () => {
+      throw new Error("down");
+    },
+  };
+  await createAuditLog({ store }).record({ actor: "a@x.com", action: "x" });
+  assert.equal(errors.length, 1);
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isSsml,
+  splitSentences,
+  splitTextIntoChunks,
+} = require("../lib/tts/chunker");
+
+const bytes = (text) => Buffer.byteLength(text, "utf8");
+const texts = (sentences) => sentences.map(({ text }) => text);
+
+// Open/close balance of every element in an SSML chunk
+const isBalanced = (chunk) => {
+  const stack = [];
+  for (const [tag] of chunk.matchAll(/<[^>]+>/g)) {
+    if (tag.endsWith("/>")) continue;
+    const name = tag.match(/^<\/?([^\s/>]+)/)[1];
+    if (tag.startsWith("</")) {
+      if (stack.pop() !== name) return false;
+    } else stack.push(name);
+  }
+  return stack.length === 0;
+};
+
+test("splitSentences keeps abbreviations, initials and references", () => {
+  const text =
+    "Rev. Smith read 1 Cor. 13. J. Wesley agreed. Turn to John 3:16 and Ps. 23.1 today! Amen";
+  assert.deepEqual(texts(splitSentences(text)), [
+    "Rev. Smith read 1 Cor. 13.",
+    "J. Wesley agreed.",
+    "Turn to John 3:16 and Ps. 23.1 today!",
+    "Amen",
+  ]);
+  assert.equal(splitSentences(text).at(-1).end, false);
+});
+
+test("splitSentences carries on after a lowercase word", () => {
+  assert.deepEqual(texts(splitSentences('"Why?" he asked. Then he left.')), [
+    '"Why?" he asked.',
+    "Then he left.",
+  ]);
+});
+
+test("splitSentences ignores list markers", () => {
+  assert.deepEqual(texts(splitSentences("1. Pray daily.\n2. Read.")), [
+    "1. Pray daily.",
+    "2. Read.",
+  ]);
+});
+
+test("splitTextIntoChunks returns nothing for blank text", () => {
+  assert.deepEqual(splitTextIntoChunks(""), []);
+  assert.deepEqual(splitTextIntoChunks("  \n "), []);
+});
+
+test("splitTextIntoChunks keeps short text whole", () => {
+  assert.deepEqual(splitTextIntoChunks("Grace and peace."), [
+    "Grace and peace.",
+  ]);
+});
+
+test("splitTextIntoChunks prefers paragraph boundaries", () => {
+  const first = "Grace is a gift. It is not earned.";
+  const second = "Faith receives it. Love answers it.";
+  const chunks = splitTextIntoChunks(`${first}\n\n${second}`, {
+    maxBytes: first.length + 10,
+  });
+  assert.deepEqual(chunks, [first, second]);
+});
+
+test("splitTextIntoChunks stays under the byte limit", () => {
+  const text = Array.from(
+    { length: 40 },
+    (_, i) => `Sentence ${i} speaks of mercy, of hope; and of peace.`
+  ).join(" ");
+  const chunks = splitTextIntoChunks(text, { maxBytes: 200 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.ok(bytes(chunk) <= 200);
+  assert.equal(chunks.join(" "), text);
+});
+
+test("splitTextIntoChunks counts UTF-8 bytes and never splits a character", () => {
+  const text = "Ωμέγα ".repeat(60).trim() + ".";
+  const chunks = splitTextIntoChunks(text, { maxBytes: 50 });
+  for (const chunk of chunks) {
+    assert.ok(bytes(chunk) <= 50);
+    assert.ok(!chunk.includes("�"));
+  }
+  assert.equal(chunks.join(" "), text);
+});
+
+test("splitTextIntoChunks splits an unbroken word as a last resort", () => {
+  const chunks = splitTextIntoChunks("a".repeat(25), { maxBytes: 10 });
+  assert.deepEqual(chunks, ["a".repeat(10), "a".repeat(10), "a".repeat(5)]);
+});
+
+test("isSsml recognises a speak element", () => {
+  assert.equal(isSsml("  <speak>Hi</speak>"), true);
+  assert.equal(isSsml("Hi <speak>"), false);
+});
+
+test("SSML chunks are wrapped and reopen elements cut in two", () => {
+  const ssml =
+    '<speak><p><prosody rate="slow">' +
+    "Be still and know. ".repeat(8) +
+    '</prosody><break time="1s"/>Amen.</p></speak>';
+  const chunks = splitTextIntoChunks(ssml, { maxBytes: 120 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(bytes(chunk) <= 120);
+    assert.match(chunk, /^<speak>/);
+    assert.match(chunk, /<\/speak>$/);
+    assert.ok(isBalanced(chunk), chunk);
+  }
+  assert.match(chunks[1], /^<speak><p><prosody rate="slow">/);
+  assert.match(chunks.at(-1), /<break time="1s"\/>Amen\.<\/p><\/speak>$/);
+});
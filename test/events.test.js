@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createEventBus, formatEvent } = require("../lib/events");
+
+test("subscribers hear new events until they unsubscribe", () => {
+  const events = createEventBus();
+  const heard = [];
+  const unsubscribe = events.subscribe((event) => heard.push(event));
+
+  events.publish("change", "sermons", { id: "s1" });
+  unsubscribe();
+  events.publish("change", "sermons", { id: "s2" });
+
+  assert.deepEqual(
+    heard.map((event) => event.data.id),
+    ["s1"]
+  );
+  assert.equal(heard[0].editorsOnly, false);
+});
+
+test("events keep the editorsOnly flag they were published with", () => {
+  const events = createEventBus();
+  const event = events.publish(
+    "tts",
+    "sermons",
+    { sermonId: "s1" },
+    { editorsOnly: true }
+  );
+  assert.equal(event.editorsOnly, true);
+  assert.equal(
+    events.since(event.id.replace(/\d+$/, "0"))[0].editorsOnly,
+    true
+  );
+});
+
+test("since replays what a client missed", () => {
+  const events = createEventBus();
+  const first = events.publish("change", "notices", { id: "n1" });
+  events.publish("change", "notices", { id: "n2" });
+  events.publish("change", "notices", { id: "n3" });
+
+  assert.deepEqual(
+    events.since(first.id).map((event) => event.data.id),
+    ["n2", "n3"]
+  );
+  assert.deepEqual(events.since(events.lastId()), []);
+});
+
+test("since gives up on ids it can't replay from", () => {
+  const events = createEventBus({ bufferSize: 2 });
+  const first = events.publish("change", "notices", { id: "n1" });
+  events.publish("change", "notices", { id: "n2" });
+  events.publish("change", "notices", { id: "n3" });
+  // A full buffer still covers a client that missed only what it holds
+  assert.equal(events.since(first.id).length, 2);
+
+  events.publish("change", "notices", { id: "n4" });
+  // n2 was dropped from the buffer, so the gap after n1 is unknown
+  assert.equal(events.since(first.id), null);
+  assert.equal(events.since("otherboot-1"), null);
+  assert.equal(events.since("garbage"), null);
+  const [boot] = events.lastId().split("-");
+  assert.equal(events.since(`${boot}-99`), null);
+});
+
+test("formatEvent writes one text/event-stream message", () => {
+  const events = createEventBus();
+  const event = events.publish("change", "sermons", { id: "s1" });
+  const text = formatEvent(event);
+
+  assert.ok(text.startsWith(`id: ${event.id}\nevent: change\ndata: `));
+  assert.ok(text.endsWith("\n\n"));
+  const data = JSON.parse(text.split("data: ")[1]);
+  assert.deepEqual(data, { id: "s1", at: event.at });
+});
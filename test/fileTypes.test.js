@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  HEAD_BYTES,
+  detectFileType,
+  readFileHead,
+  destinationProblem,
+  fileTypeProblem,
+  safeDestination,
+} = require("../lib/fileTypes");
+const { createLocalStorage } = require("../lib/backends/local");
+
+const head = (...parts) =>
+  Buffer.concat(
+    parts.map((part) =>
+      typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part)
+    )
+  );
+
+test("detectFileType recognises the allowed formats", () => {
+  const cases = [
+    [head([0xff, 0xd8, 0xff, 0xe0]), "image/jpeg"],
+    [head("\x89PNG\r\n\x1a\n", "rest"), "image/png"],
+    [head("GIF89a", "rest"), "image/gif"],
+    [head("RIFF", [0, 0, 0, 0], "WEBPVP8 "), "image/webp"],
+    [head("RIFF", [0, 0, 0, 0], "WAVEfmt "), "audio/wav"],
+    [head([0, 0, 0, 0x20], "ftypheic"), "image/heic"],
+    [head([0, 0, 0, 0x20], "ftypM4A "), "audio/mp4"],
+    [head([0, 0, 0, 0x20], "ftypisom"), "video/mp4"],
+    [head([0, 0, 0, 0x14], "ftypqt  "), "video/quicktime"],
+    [head("%PDF-1.7"), "application/pdf"],
+    [head("OggS", [0, 2]), "audio/ogg"],
+    [head("fLaC", [0, 0, 0, 0x22]), "audio/flac"],
+    [head([0x1a, 0x45, 0xdf, 0xa3], "....webm"), "video/webm"],
+    [head([0x1a, 0x45, 0xdf, 0xa3], "matroska"), "video/x-matroska"],
+    [head("ID3", [4, 0, 0]), "audio/mpeg"],
+    [head([0xff, 0xfb, 0x90, 0x00]), "audio/mpeg"],
+    [head([0xff, 0xf1, 0x50, 0x80]), "audio/aac"],
+  ];
+  for (const [bytes, mime] of cases) {
+    assert.equal(detectFileType(bytes), mime, mime);
+  }
+});
+
+test("detectFileType doesn't trust text or unknown bytes", () => {
+  assert.equal(detectFileType(head("<html><script>")), null);
+  assert.equal(detectFileType(head("<svg xmlns=")), null);
+  assert.equal(detectFileType(head("MZ", [0x90, 0])), null);
+  assert.equal(detectFileType(head("RIFF", [0, 0, 0, 0], "AVI ")), null);
+  assert.equal(detectFileType(head("%P")), null);
+  assert.equal(detectFileType(null), null);
+});
+
+test("readFileHead reads the first bytes only", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "file-types-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "flyer.pdf");
+
+  await fs.writeFile(file, Buffer.alloc(1000, "%PDF-"));
+  assert.equal((await readFileHead(file)).length, HEAD_BYTES);
+  await fs.writeFile(file, "%PDF");
+  assert.equal((await readFileHead(file)).toString(), "%PDF");
+});
+
+test("destinationProblem rejects unsafe paths", () => {
+  for (const destination of [
+    "",
+    undefined,
+    "/etc/passwd",
+    "notices\\flyer.pdf",
+    "notices/../../etc/passwd",
+    "notices/..",
+    "notices//flyer.pdf",
+    "notices/./flyer.pdf",
+    "notices/fly\u0000er.pdf",
+    "flyer.pdf",
+  ]) {
+    assert.ok(destinationProblem(destination), String(destination));
+  }
+});
+
+test("destinationProblem rejects dangerous inner extensions", () => {
+  assert.match(
+    destinationProblem("notices/flyer.php.pdf"),
+    /must not contain \.php/
+  );
+  assert.match(
+    destinationProblem("profiles/victim@gmail.com.exe.png"),
+    /\.exe/
+  );
+});
+
+test("destinationProblem accepts ordinary paths and email names", () => {
+  for (const destination of [
+    "notices/flyer.pdf",
+    "notices/2024/easter flyer.v2.pdf",
+    "profiles/john@x.com.png",
+    "profiles/ola@wp.pl.jpg",
+    "profiles/john@x.com",
+  ]) {
+    assert.equal(destinationProblem(destination), null, destination);
+  }
+});
+
+test("fileTypeProblem applies the folder allowlists", () => {
+  assert.equal(fileTypeProblem("notices", "application/pdf"), null);
+  assert.equal(fileTypeProblem("sermons", "audio/mpeg"), null);
+  assert.match(fileTypeProblem("sermons", "image/png"), /can't be uploaded/);
+  assert.match(fileTypeProblem("notices", null), /Unrecognised file type/);
+  assert.match(fileTypeProblem("nowhere", "image/png"), /can't be uploaded/);
+});
+
+test("safeDestination only touches the final extension", () => {
+  const cases = [
+    ["notices/flyer.pdf", "application/pdf", "notices/flyer.pdf"],
+    ["notices/photo.JPEG", "image/jpeg", "notices/photo.JPEG"],
+    ["sermons/song.wav", "audio/mpeg", "sermons/song.mp3"],
+    ["notices/flyer.html", "image/png", "notices/flyer.png"],
+    ["notices/flyer", "application/pdf", "notices/flyer.pdf"],
+    ["profiles/john@x.com", "image/jpeg", "profiles/john@x.com.jpg"],
+    ["profiles/john@x.com.png", "image/png", "profiles/john@x.com.png"],
+    ["profiles/ola@wp.pl", "image/png", "profiles/ola@wp.pl.png"],
+  ];
+  for (const [destination, mime, expected] of cases) {
+    assert.equal(safeDestination(destination, mime), expected, destination);
+  }
+});
+
+test("safeDestination never makes two users' names collide", () => {
+  assert.notEqual(
+    safeDestination("profiles/victim@gmail.com.exe.png", "image/png"),
+    safeDestination("profiles/victim@gmail.com.png", "image/png")
+  );
+});
+
+test("local storage refuses paths outside its root", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "file-types-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const storage = createLocalStorage({
+    rootDir: path.join(dir, "storage"),
+    baseUrl: "http://files.test",
+  });
+  await assert.rejects(
+    storage.save("../outside.txt", Buffer.from("x")),
+    /escapes the storage directory/
+  );
+  await assert.rejects(storage.read("../../etc/passwd"), /escapes/);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseFilters,
+  parseSort,
+  describeQueryError,
+} = require("../lib/listFilters");
+
+test("equality, lists, ranges and tags become where clauses", () => {
+  const { where, error } = parseFilters("sermons", {
+    preacher: "Ann",
+    "category.in": "youth, midweek",
+    "date.gte": "2026-01-01",
+    tags: "faith",
+    limit: "10",
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(where, [
+    ["preacher", "==", "Ann"],
+    ["category", "in", ["youth", "midweek"]],
+    ["date", ">=", new Date("2026-01-01")],
+    ["tags", "array-contains", "faith"],
+  ]);
+});
+
+test("flags match a field being set or cleared", () => {
+  assert.deepEqual(parseFilters("sermons", { hasAudio: "true" }).where, [
+    ["ttsAudioUrl", "!=", null],
+  ]);
+  assert.deepEqual(parseFilters("sermons", { hasAudio: "false" }).where, [
+    ["ttsAudioUrl", "==", null],
+  ]);
+  assert.match(
+    parseFilters("sermons", { hasAudio: "yes" }).error,
+    /must be true or false/
+  );
+});
+
+test("parameters that aren't filters are ignored", () => {
+  const { where, error } = parseFilters("sermons", {
+    _: "1697712345",
+    utm_source: "newsletter",
+    constructor: "x",
+    toString: "true",
+    eq: "5",
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(where, []);
+});
+
+test("repeated unknown parameters are ignored too", () => {
+  assert.deepEqual(parseFilters("songs", { _: ["1", "2"] }).where, []);
+  assert.match(
+    parseFilters("songs", { artist: ["A", "B"] }).error,
+    /can only be given once/
+  );
+});
+
+test("parameters that look like filters are refused", () => {
+  // A declared field without a filter
+  const unfiltered = parseFilters("sermons", { title: "Grace" });
+  assert.equal(unfiltered.error, 'Unknown filter "title"');
+  assert.ok(unfiltered.allowed.includes("preacher"));
+  // A known operator on an unknown field
+  assert.match(
+    parseFilters("sermons", { "speaker.in": "a,b" }).error,
+    /Unknown filter "speaker.in"/
+  );
+  // A sortable field
+  assert.match(
+    parseFilters("sermons", { updatedAt: "2026-01-01" }).error,
+    /Unknown filter/
+  );
+});
+
+test("operators and values are checked", () => {
+  assert.match(
+    parseFilters("sermons", { "scripture.in": "a,b" }).error,
+    /supports: eq/
+  );
+  assert.match(
+    parseFilters("sermons", { "category.constructor": "a" }).error,
+    /supports: eq, in/
+  );
+  assert.match(
+    parseFilters("sermons", { "date.lt": "someday" }).error,
+    /Invalid date value/
+  );
+  assert.match(
+    parseFilters("sermons", {
+      "category.in": Array.from({ length: 31 }, (_, i) => i).join(","),
+    }).error,
+    /1 to 30/
+  );
+  assert.match(
+    parseFilters("sermons", { tags: "a", "tags.any": "b,c" }).error,
+    /Only one tags filter/
+  );
+});
+
+test("sorting is limited to whitelisted fields", () => {
+  assert.deepEqual(parseSort("songs", {}).orderBy, [["createdAt", "desc"]]);
+  assert.deepEqual(
+    parseSort("songs", { sort: "title", order: "asc" }).orderBy,
+    [["title", "asc"]]
+  );
+  assert.deepEqual(parseSort("songs", { sort: "lyrics" }).allowed, [
+    "createdAt",
+    "title",
+    "artist",
+    "updatedAt",
+  ]);
+  assert.match(parseSort("songs", { order: "up" }).error, /order must be/);
+});
+
+test("Firestore index and argument errors become 400s", () => {
+  const missing = describeQueryError({
+    code: 9,
+    message:
+      "The query requires an index. Create it here: https://console.firebase.google.com/x",
+  });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, "missing-index");
+  assert.equal(missing.body.indexUrl, "https://console.firebase.google.com/x");
+
+  assert.equal(
+    describeQueryError({ code: 3, message: "bad" }).body.code,
+    "bad-query"
+  );
+  assert.equal(describeQueryError(new Error("boom")), null);
+});
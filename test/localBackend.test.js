@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const {
+  createLocalStore,
+  createLocalStorage,
+} = require("../lib/backends/local");
+
+const tempDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "local-backend-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Lets a scheduled flush run
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("documents are saved to the data file and loaded back", async (t) => {
+  const dataFile = path.join(await tempDir(t), "data.json");
+  const store = createLocalStore({ dataFile });
+  const when = new Date("2026-10-18T10:00:00Z");
+  const id = await store.add("sermons", { title: "Grace", date: when });
+  await nextTick();
+
+  const reloaded = createLocalStore({ dataFile });
+  const doc = await reloaded.get("sermons", id);
+  assert.equal(doc.data.title, "Grace");
+  assert.ok(doc.data.date instanceof Date);
+  assert.equal(doc.data.date.getTime(), when.getTime());
+});
+
+test("a failed save is logged instead of crashing the process", async (t) => {
+  const dir = await tempDir(t);
+  // The data file's directory can't be created under a regular file
+  await fs.writeFile(path.join(dir, "blocker"), "x");
+  const errors = [];
+  t.mock.method(console, "error", (...args) => errors.push(args));
+
+  const store = createLocalStore({ dataFile: path.join(dir, "blocker", "d") });
+  await store.add("sermons", { title: "Grace" });
+  await nextTick();
+
+  assert.equal(errors.length, 1);
+  assert.match(errors[0][0], /Saving local data/);
+  assert.equal((await store.query("sermons")).length, 1);
+});
+
+test("query filters and orders like Firestore", async () => {
+  const store = createLocalStore();
+  await store.set("songs", "a", { title: "B", plays: 3, tags: ["hymn"] });
+  await store.set("songs", "b", { title: "A", plays: 7 });
+  await store.set("songs", "c", { title: "C", tags: ["hymn", "choir"] });
+
+  const titles = (docs) => docs.map((doc) => doc.data.title);
+  assert.deepEqual(
+    titles(await store.query("songs", { orderBy: [["plays", "desc"]] })),
+    ["A", "B"]
+  );
+  assert.deepEqual(
+    titles(
+      await store.query("songs", {
+        where: [["tags", "array-contains", "hymn"]],
+        orderBy: [["title", "asc"]],
+      })
+    ),
+    ["B", "C"]
+  );
+  assert.equal(await store.count("songs", { where: [["plays", ">", 5]] }), 1);
+});
+
+test("update merges dotted fields and can delete them", async () => {
+  const store = createLocalStore();
+  await store.set("sermons", "s1", { ttsVariants: { a: 1, b: 2 } });
+  await store.update("sermons", "s1", {
+    "ttsVariants.a": store.deleteField(),
+    "ttsVariants.c": 3,
+  });
+  const doc = await store.get("sermons", "s1");
+  assert.deepEqual(doc.data.ttsVariants, { b: 2, c: 3 });
+});
+
+test("private files are kept but never served", async (t) => {
+  const dir = await tempDir(t);
+  const storage = createLocalStorage({
+    rootDir: path.join(dir, "storage"),
+    baseUrl: "http://files.test",
+  });
+  const app = express();
+  storage.mount(app);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}/files`;
+
+  await storage.save("sermons/a.mp3", Buffer.from("public"));
+  await storage.save("tts-cache/b.mp3", Buffer.from("private"), {
+    public: false,
+  });
+
+  assert.equal((await storage.read("tts-cache/b.mp3")).toString(), "private");
+  assert.equal(await storage.exists("tts-cache/b.mp3"), true);
+  assert.equal(await (await fetch(`${base}/sermons/a.mp3`)).text(), "public");
+  assert.equal((await fetch(`${base}/tts-cache/b.mp3`)).status, 404);
+
+  await storage.delete("tts-cache/b.mp3");
+  assert.equal(await storage.exists("tts-cache/b.mp3"), false);
+});
+
+test("saving with another visibility moves the file", async (t) => {
+  const dir = await tempDir(t);
+  const rootDir = path.join(dir, "storage");
+  const storage = createLocalStorage({ rootDir, baseUrl: "http://files.test" });
+
+  await storage.save("x/a.mp3", Buffer.from("one"));
+  await storage.save("x/a.mp3", Buffer.from("two"), { public: false });
+  await assert.rejects(fs.access(path.join(rootDir, "x/a.mp3")));
+  assert.equal((await storage.read("x/a.mp3")).toString(), "two");
+});
+
+test("the private directory can't be inside the served one", async (t) => {
+  const dir = await tempDir(t);
+  assert.throws(
+    () =>
+      createLocalStorage({
+        rootDir: dir,
+        privateDir: path.join(dir, "private"),
+        baseUrl: "http://files.test",
+      }),
+    /must be outside rootDir/
+  );
+});
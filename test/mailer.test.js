@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { createMailer } = require("../lib/mailer");
+
+test("the file transport writes each message into the outbox", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+  t.after(() => fs.rm(outboxDir, { recursive: true, force: true }));
+
+  const mailer = createMailer({
+    MAIL_OUTBOX_DIR: outboxDir,
+    MAIL_FROM: "Church <office@church.test>",
+  });
+  assert.equal(mailer.transport, "file");
+  await mailer.send({ to: "a@x.com", subject: "Hi", text: "Hello" });
+
+  const [file] = await fs.readdir(outboxDir);
+  const message = JSON.parse(
+    await fs.readFile(path.join(outboxDir, file), "utf8")
+  );
+  assert.equal(message.from, "Church <office@church.test>");
+  assert.equal(message.to, "a@x.com");
+  assert.equal(message.subject, "Hi");
+  assert.ok(message.sentAt);
+});
+
+test("production needs a transport to be chosen", () => {
+  assert.throws(
+    () => createMailer({ NODE_ENV: "production" }),
+    /MAIL_TRANSPORT must be set when NODE_ENV=production/
+  );
+  const mailer = createMailer({
+    NODE_ENV: "production",
+    MAIL_TRANSPORT: "file",
+  });
+  assert.equal(mailer.transport, "file");
+});
+
+test("smtp needs SMTP_URL", () => {
+  assert.throws(
+    () => createMailer({ MAIL_TRANSPORT: "smtp" }),
+    /SMTP_URL missing/
+  );
+  const mailer = createMailer({
+    MAIL_TRANSPORT: "smtp",
+    SMTP_URL: "smtp://localhost:2525",
+  });
+  assert.equal(mailer.transport, "smtp");
+});
+
+test("unknown transports are refused", () => {
+  assert.throws(
+    () => createMailer({ MAIL_TRANSPORT: "pigeon" }),
+    /Unknown MAIL_TRANSPORT "pigeon"/
+  );
+});
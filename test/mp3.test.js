@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseFrameHeader, parseFrames, mergeMp3 } = require("../lib/mp3");
+
+// MPEG-1 Layer III, no CRC, 128 kbps, stereo; 44100 Hz or 48000 Hz
+const HEADER_44K = [0xff, 0xfb, 0x90, 0x00];
+const HEADER_48K = [0xff, 0xfb, 0x94, 0x00];
+const FRAME_SECONDS = 1152 / 44100;
+
+const frame = (header = HEADER_44K, fill = 0x55) => {
+  const length = parseFrameHeader(Buffer.from(header), 0).length;
+  const buffer = Buffer.alloc(length, fill);
+  Buffer.from(header).copy(buffer);
+  return buffer;
+};
+
+const xingFrame = () => {
+  const buffer = frame(HEADER_44K, 0);
+  buffer.write("Xing", 4 + 32, "latin1");
+  return buffer;
+};
+
+const id3Tag = (size) => {
+  const tag = Buffer.alloc(10 + size);
+  tag.write("ID3", 0, "latin1");
+  tag[3] = 4;
+  tag[9] = size; // syncsafe, size < 128
+  return tag;
+};
+
+test("parseFrameHeader reads a Layer III header", () => {
+  const header = parseFrameHeader(Buffer.from(HEADER_44K), 0);
+  assert.equal(header.version, 1);
+  assert.equal(header.bitrate, 128000);
+  assert.equal(header.sampleRate, 44100);
+  assert.equal(header.mono, false);
+  assert.equal(header.crc, false);
+  assert.equal(header.length, 417);
+});
+
+test("parseFrameHeader rejects non-frames", () => {
+  assert.equal(parseFrameHeader(Buffer.from("ID3\x04"), 0), null);
+  // Layer II
+  assert.equal(
+    parseFrameHeader(Buffer.from([0xff, 0xfd, 0x90, 0x00]), 0),
+    null
+  );
+  // Free-format bitrate
+  assert.equal(
+    parseFrameHeader(Buffer.from([0xff, 0xfb, 0x00, 0x00]), 0),
+    null
+  );
+  assert.equal(parseFrameHeader(Buffer.from([0xff, 0xfb]), 0), null);
+});
+
+test("parseFrames skips tags, header frames and junk", () => {
+  const buffer = Buffer.concat([
+    id3Tag(20),
+    xingFrame(),
+    frame(),
+    Buffer.from("junk"),
+    frame(),
+    Buffer.from("TAG"),
+  ]);
+  const frames = parseFrames(buffer);
+  assert.equal(frames.length, 2);
+  assert.ok(frames.every(({ frame }) => frame.length === 417));
+});
+
+test("parseFrames drops a truncated last frame", () => {
+  const buffer = Buffer.concat([frame(), frame().subarray(0, 100)]);
+  assert.equal(parseFrames(buffer).length, 1);
+});
+
+test("mergeMp3 concatenates frames behind one Info header", () => {
+  const first = Buffer.concat([id3Tag(10), xingFrame(), frame(), frame()]);
+  const second = Buffer.concat([frame(), frame(), frame()]);
+  const { buffer, duration, offsets } = mergeMp3([first, second]);
+
+  const header = parseFrameHeader(buffer, 0);
+  const tag = buffer.toString("latin1", 36, 40);
+  assert.equal(tag, "Info"); // same bitrate throughout
+  assert.equal(buffer.readUInt32BE(44), 5); // frame count
+  assert.equal(buffer.readUInt32BE(48), buffer.length); // byte count
+  assert.equal(parseFrames(buffer.subarray(header.length)).length, 5);
+
+  assert.equal(duration, Math.round(5 * FRAME_SECONDS * 1000) / 1000);
+  assert.deepEqual(offsets, [0, Math.round(2 * FRAME_SECONDS * 1000) / 1000]);
+});
+
+test("mergeMp3 marks mixed bitrates as VBR", () => {
+  const low = [0xff, 0xfb, 0x50, 0x00]; // 64 kbps
+  const { buffer } = mergeMp3([Buffer.concat([frame(), frame(low)])]);
+  assert.equal(buffer.toString("latin1", 36, 40), "Xing");
+});
+
+test("mergeMp3 writes a rising seek table", () => {
+  const chunk = Buffer.concat(Array.from({ length: 20 }, () => frame()));
+  const { buffer } = mergeMp3([chunk]);
+  const toc = [...buffer.subarray(52, 152)];
+  assert.equal(toc.length, 100);
+  for (let i = 1; i < toc.length; i++) assert.ok(toc[i] >= toc[i - 1]);
+});
+
+test("mergeMp3 refuses mismatched sample rates", () => {
+  assert.throws(
+    () => mergeMp3([frame(), frame(HEADER_48K)]),
+    /different sample rates/
+  );
+});
+
+test("mergeMp3 refuses input without audio frames", () => {
+  assert.throws(() => mergeMp3([Buffer.from("not audio")]), /No MP3 audio/);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const { createNoticeReads } = require("../lib/noticeReads");
+
+const setup = async () => {
+  const store = createLocalStore();
+  await store.set("notices", "n1", { title: "Picnic", live: true });
+  await store.set("notices", "n2", { title: "Choir", live: true });
+  await store.set("notices", "draft", { title: "Later", live: false });
+  return { store, reads: createNoticeReads({ store }) };
+};
+
+test("only live notices count as unread", async () => {
+  const { reads } = await setup();
+  assert.deepEqual(await reads.unreadCount("a@x.com"), {
+    unreadCount: 2,
+    total: 2,
+  });
+});
+
+test("marking read skips ids that aren't notices", async () => {
+  const { reads } = await setup();
+  assert.deepEqual(await reads.markRead("a@x.com", ["n1", "gone"]), ["n1"]);
+  assert.deepEqual(await reads.unreadCount("a@x.com"), {
+    unreadCount: 1,
+    total: 2,
+  });
+  assert.deepEqual(
+    [...(await reads.readAmong("a@x.com", ["n1", "n2", "gone"]))],
+    ["n1"]
+  );
+  const [entry] = await reads.list("a@x.com");
+  assert.equal(entry.noticeId, "n1");
+  assert.ok(entry.readAt instanceof Date);
+});
+
+test("read state is kept per member", async () => {
+  const { reads } = await setup();
+  await reads.markRead("a@x.com", ["n1", "n2"]);
+  assert.equal((await reads.unreadCount("a@x.com")).unreadCount, 0);
+  assert.equal((await reads.unreadCount("b@x.com")).unreadCount, 2);
+});
+
+test("mark all read only marks live notices not yet read", async () => {
+  const { reads } = await setup();
+  await reads.markRead("a@x.com", ["n1"]);
+  assert.equal(await reads.markAllRead("a@x.com"), 1);
+  assert.equal(await reads.markAllRead("a@x.com"), 0);
+  assert.deepEqual(
+    (await reads.list("a@x.com")).map(({ noticeId }) => noticeId).sort(),
+    ["n1", "n2"]
+  );
+});
+
+test("marking unread reports whether it was read", async () => {
+  const { reads } = await setup();
+  await reads.markRead("a@x.com", ["n1"]);
+  assert.equal(await reads.markUnread("a@x.com", "n1"), true);
+  assert.equal(await reads.markUnread("a@x.com", "n1"), false);
+  assert.equal((await reads.unreadCount("a@x.com")).unreadCount, 2);
+});
+
+test("a notice going live shows up as unread", async () => {
+  const { store, reads } = await setup();
+  await reads.markAllRead("a@x.com");
+  await store.update("notices", "draft", { live: true });
+  assert.deepEqual(await reads.unreadCount("a@x.com"), {
+    unreadCount: 1,
+    total: 3,
+  });
+});
@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  queryKey,
+  cursorValues,
+  createCursorCodec,
+  fetchPage,
+} = require("../lib/pagination");
+
+const codec = createCursorCodec("test-secret");
+const key = queryKey({
+  collection: "sermons",
+  where: [],
+  orderBy: [["date", "desc"]],
+});
+
+test("a cursor decodes to its direction and values", () => {
+  const date = new Date("2024-05-01T10:00:00Z");
+  const token = codec.encode(key, "next", [date, "abc", null]);
+  const cursor = codec.decode(token, key);
+  assert.equal(cursor.direction, "next");
+  assert.deepEqual(cursor.values, [date, "abc", null]);
+  assert.ok(cursor.values[0] instanceof Date);
+});
+
+test("Firestore Timestamps keep their nanoseconds", () => {
+  const timestamp = {
+    seconds: 1700000000,
+    nanoseconds: 123456789,
+    toMillis: () => 1700000000123,
+  };
+  const rebuilt = createCursorCodec("test-secret", {
+    timestamp: (seconds, nanoseconds) => ({ seconds, nanoseconds }),
+  });
+  const cursor = rebuilt.decode(rebuilt.encode(key, "prev", [timestamp]), key);
+  assert.deepEqual(cursor.values, [
+    { seconds: 1700000000, nanoseconds: 123456789 },
+  ]);
+
+  // Without a factory they come back as dates
+  const plain = codec.decode(codec.encode(key, "next", [timestamp]), key);
+  assert.deepEqual(plain.values, [new Date(1700000000123)]);
+});
+
+test("a tampered cursor is rejected", () => {
+  const token = codec.encode(key, "next", ["abc"]);
+  const [payload, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ k: key, d: "next", v: ["zzz"] })
+  ).toString("base64url");
+
+  assert.equal(codec.decode(`${forged}.${signature}`, key), null);
+  assert.equal(codec.decode(`${payload}.${signature.slice(1)}`, key), null);
+  assert.equal(codec.decode(payload, key), null);
+  assert.equal(codec.decode(undefined, key), null);
+});
+
+test("a cursor signed with another secret is rejected", () => {
+  const other = createCursorCodec("other-secret");
+  assert.equal(codec.decode(other.encode(key, "next", ["abc"]), key), null);
+});
+
+test("a cursor from another query is rejected", () => {
+  const otherKey = queryKey({
+    collection: "sermons",
+    where: [["preacher", "==", "John"]],
+    orderBy: [["date", "desc"]],
+  });
+  assert.notEqual(otherKey, key);
+  const token = codec.encode(otherKey, "next", ["abc"]);
+  assert.equal(codec.decode(token, key), null);
+});
+
+test("cursorValues lists the sort fields, then the id", () => {
+  const doc = { id: "d1", data: { date: "2024-01-01", meta: { n: 2 } } };
+  assert.deepEqual(
+    cursorValues(doc, [
+      ["date", "desc"],
+      ["meta.n", "asc"],
+    ]),
+    ["2024-01-01", 2, "d1"]
+  );
+});
+
+const seed = async () => {
+  const store = createLocalStore();
+  // Two documents share each rank, so ties are broken by id
+  for (let i = 0; i < 7; i++) {
+    await store.set("items", `item${i}`, { rank: Math.floor(i / 2) });
+  }
+  return store;
+};
+
+const orderBy = [["rank", "asc"]];
+const ids = (page) => page.docs.map(({ id }) => id);
+
+test("fetchPage walks forward and back with exact flags", async () => {
+  const store = await seed();
+  const first = await fetchPage(store, "items", { orderBy, limit: 3 });
+  assert.deepEqual(ids(first), ["item0", "item1", "item2"]);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.hasPrevious, false);
+  assert.equal(first.totalCount, 7);
+
+  const next = (page) => ({
+    direction: "next",
+    values: cursorValues(page.docs.at(-1), orderBy),
+  });
+  const second = await fetchPage(store, "items", {
+    orderBy,
+    limit: 3,
+    cursor: next(first),
+  });
+  assert.deepEqual(ids(second), ["item3", "item4", "item5"]);
+  assert.equal(second.hasPrevious, true);
+
+  const third = await fetchPage(store, "items", {
+    orderBy,
+    limit: 3,
+    cursor: next(second),
+  });
+  assert.deepEqual(ids(third), ["item6"]);
+  assert.equal(third.hasMore, false);
+
+  const back = await fetchPage(store, "items", {
+    orderBy,
+    limit: 3,
+    cursor: {
+      direction: "prev",
+      values: cursorValues(third.docs[0], orderBy),
+    },
+  });
+  assert.deepEqual(ids(back), ["item3", "item4", "item5"]);
+  assert.equal(back.hasMore, true);
+  assert.equal(back.hasPrevious, true);
+});
+
+test("fetchPage applies filters to the page and the total", async () => {
+  const store = await seed();
+  const page = await fetchPage(store, "items", {
+    where: [["rank", ">=", 2]],
+    orderBy,
+    limit: 10,
+  });
+  assert.deepEqual(ids(page), ["item4", "item5", "item6"]);
+  assert.equal(page.totalCount, 3);
+  assert.equal(page.hasMore, false);
+});
+
+test("fetchPage supports offsets without a cursor", async () => {
+  const store = await seed();
+  const page = await fetchPage(store, "items", {
+    orderBy,
+    limit: 2,
+    offset: 2,
+  });
+  assert.deepEqual(ids(page), ["item2", "item3"]);
+  assert.equal(page.hasPrevious, true);
+});
+
+test("fetchPage totals leave out documents without the sort field", async () => {
+  const store = await seed();
+  await store.set("items", "unranked", { title: "no rank" });
+  const page = await fetchPage(store, "items", { orderBy, limit: 10 });
+  assert.equal(page.docs.length, 7);
+  assert.equal(page.totalCount, 7);
+});
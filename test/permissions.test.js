@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  isRole,
+  permissionsFor,
+  hasPermission,
+  loadRoles,
+} = require("../lib/permissions");
+
+test("only declared roles are roles", () => {
+  assert.equal(isRole("sermon-editor"), true);
+  assert.equal(isRole("pope"), false);
+  assert.equal(isRole("constructor"), false);
+});
+
+test("roles grant the union of their permissions", () => {
+  const permissions = permissionsFor(["sermon-editor", "moderator"]);
+  assert.equal(hasPermission(permissions, "write:sermons"), true);
+  assert.equal(hasPermission(permissions, "tts:generate"), true);
+  assert.equal(hasPermission(permissions, "write:contactMessages"), true);
+  assert.equal(hasPermission(permissions, "write:songs"), false);
+  assert.equal(hasPermission(permissions, "users:manage"), false);
+});
+
+test("editors can't manage users or read the audit log", () => {
+  for (const role of ["sermon-editor", "music-editor", "notice-editor"]) {
+    const permissions = permissionsFor([role]);
+    assert.equal(hasPermission(permissions, "users:manage"), false);
+    assert.equal(hasPermission(permissions, "audit:read"), false);
+  }
+});
+
+test("super-admins have every permission", () => {
+  const permissions = permissionsFor(["super-admin"]);
+  assert.equal(hasPermission(permissions, "users:manage"), true);
+  assert.equal(hasPermission(permissions, "anything:at-all"), true);
+});
+
+test("unknown roles grant nothing", () => {
+  assert.equal(permissionsFor(["pope", "constructor"]).size, 0);
+  assert.equal(permissionsFor([]).size, 0);
+});
+
+test("roles come from the user document", async () => {
+  const store = createLocalStore();
+  await store.set("users", "a@x.com", { roles: ["music-editor", "pope"] });
+  assert.deepEqual(await loadRoles(store, "a@x.com"), ["music-editor"]);
+  assert.deepEqual(await loadRoles(store, "nobody@x.com"), []);
+});
+
+test("legacy admins are super-admins until roles are set", async () => {
+  const store = createLocalStore();
+  await store.set("admins", "a@x.com", {});
+  await store.set("users", "a@x.com", { email: "a@x.com" });
+  assert.deepEqual(await loadRoles(store, "a@x.com"), ["super-admin"]);
+
+  await store.update("users", "a@x.com", { roles: ["notice-editor"] });
+  assert.deepEqual(await loadRoles(store, "a@x.com"), ["notice-editor"]);
+
+  // An empty list is a deliberate choice too
+  await store.update("users", "a@x.com", { roles: [] });
+  assert.deepEqual(await loadRoles(store, "a@x.com"), []);
+});
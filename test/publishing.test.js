@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  isLive,
+  scheduleProblem,
+  publishingFields,
+  createPublisher,
+} = require("../lib/publishing");
+
+const HOUR = 3600000;
+const at = (offset) => new Date(Date.now() + offset);
+
+test("isLive follows status, publishAt and expiresAt", () => {
+  assert.equal(isLive({}), true);
+  assert.equal(isLive({ status: "draft" }), false);
+  assert.equal(isLive({ status: "archived" }), false);
+  assert.equal(isLive({ status: "published", publishAt: at(HOUR) }), false);
+  assert.equal(isLive({ publishAt: at(-HOUR), expiresAt: at(HOUR) }), true);
+  assert.equal(isLive({ publishAt: at(-HOUR), expiresAt: at(-1) }), false);
+});
+
+test("expiresAt must come after publishAt", () => {
+  assert.equal(scheduleProblem({ publishAt: at(HOUR) }), null);
+  assert.match(
+    scheduleProblem({ publishAt: at(HOUR), expiresAt: at(HOUR) }),
+    /expiresAt must be after publishAt/
+  );
+});
+
+test("new documents default to published now", () => {
+  const createdAt = new Date();
+  assert.deepEqual(publishingFields({ createdAt }, { creating: true }), {
+    live: true,
+    status: "published",
+    publishAt: createdAt,
+  });
+  assert.deepEqual(publishingFields({ status: "draft" }), { live: false });
+});
+
+test("the sweep publishes due documents and expires old ones", async () => {
+  const store = createLocalStore();
+  const changes = [];
+  const publisher = createPublisher({
+    store,
+    onChange: async (collection, id, live) =>
+      changes.push(`${collection}/${id}:${live}`),
+  });
+  await store.set("sermons", "due", {
+    status: "published",
+    publishAt: at(-1),
+    live: false,
+  });
+  await store.set("sermons", "later", {
+    status: "published",
+    publishAt: at(HOUR),
+    live: false,
+  });
+  await store.set("notices", "old", {
+    status: "published",
+    publishAt: at(-2 * HOUR),
+    expiresAt: at(-1),
+    live: true,
+  });
+
+  assert.equal(await publisher.sweep(), 2);
+  assert.deepEqual(changes.sort(), ["notices/old:false", "sermons/due:true"]);
+  assert.equal((await store.get("sermons", "later")).data.live, false);
+  assert.equal(await publisher.sweep(), 0);
+});
+
+test("the backfill runs once and skips documents that have live", async () => {
+  const store = createLocalStore();
+  const publisher = createPublisher({ store });
+  await store.set("sermons", "old", { title: "Old", createdAt: at(-HOUR) });
+  await store.set("notices", "new", { title: "New", live: false });
+
+  assert.equal(await publisher.backfill(), 1);
+  const old = (await store.get("sermons", "old")).data;
+  assert.equal(old.live, true);
+  assert.equal(old.status, "published");
+  assert.equal((await store.get("notices", "new")).data.live, false);
+
+  // Later boots don't scan again
+  await store.set("sermons", "imported", { title: "Imported" });
+  assert.equal(await publisher.backfill(), 0);
+  assert.equal((await store.get("sermons", "imported")).data.live, undefined);
+
+  await store.delete("migrations", "publishing-live");
+  assert.equal(await publisher.backfill(), 1);
+});
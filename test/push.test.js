@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const { createPushNotifier } = require("../lib/push");
+
+const setup = (t) => {
+  const sent = [];
+  t.mock.method(console, "log", (line, data) => {
+    if (line.startsWith("Push to")) sent.push({ line, data: JSON.parse(data) });
+  });
+  const store = createLocalStore();
+  const push = createPushNotifier({
+    store,
+    env: { PUSH_PROVIDER: "local" },
+  });
+  return { store, push, sent };
+};
+
+test("unknown providers are refused", () => {
+  assert.throws(
+    () =>
+      createPushNotifier({
+        store: createLocalStore(),
+        env: { PUSH_PROVIDER: "pigeon" },
+      }),
+    /Unknown PUSH_PROVIDER "pigeon"/
+  );
+});
+
+test("devices take their owner's topics and move with their token", async (t) => {
+  const { push } = setup(t);
+  await push.setTopics("a@x.com", ["youth"]);
+  await push.registerDevice("a@x.com", "tok-1", "android");
+  assert.equal((await push.listDevices("a@x.com")).length, 1);
+
+  await push.registerDevice("b@x.com", "tok-1", "android");
+  assert.deepEqual(await push.listDevices("a@x.com"), []);
+  assert.deepEqual(await push.getTopics("b@x.com"), ["notices", "sermons"]);
+
+  assert.equal(await push.unregisterDevice("a@x.com", "tok-1"), false);
+  assert.equal(await push.unregisterDevice("b@x.com", "tok-1"), true);
+});
+
+test("changing topics updates every device", async (t) => {
+  const { store, push } = setup(t);
+  await push.registerDevice("a@x.com", "tok-1", "ios");
+  await push.registerDevice("a@x.com", "tok-2", "web");
+  await push.setTopics("a@x.com", ["choir"]);
+  for (const { data } of await store.query("pushDevices")) {
+    assert.deepEqual(data.topics, ["choir"]);
+  }
+});
+
+test("a notice goes to its category's subscribers once", async (t) => {
+  const { store, push, sent } = setup(t);
+  await push.setTopics("youth@x.com", ["youth"]);
+  await push.registerDevice("youth@x.com", "tok-youth");
+  await push.setTopics("choir@x.com", ["choir"]);
+  await push.registerDevice("choir@x.com", "tok-choir");
+  await store.set("notices", "n1", {
+    title: "Camp",
+    content: "<p>Sign up   now</p>",
+    category: "youth",
+    live: true,
+  });
+
+  assert.deepEqual(await push.notifyPublished("notices", "n1"), {
+    sent: 1,
+    removed: 0,
+  });
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].line, /1 device\(s\): Camp - Sign up now$/);
+  assert.deepEqual(sent[0].data, { type: "notice", id: "n1" });
+  assert.ok((await store.get("notices", "n1")).data.notifiedAt);
+
+  assert.equal(await push.notifyPublished("notices", "n1"), null);
+  assert.equal(sent.length, 1);
+});
+
+test("drafts and other collections aren't announced", async (t) => {
+  const { store, push, sent } = setup(t);
+  await push.registerDevice("a@x.com", "tok-1");
+  await store.set("sermons", "draft", { title: "Grace", live: false });
+  await store.set("songs", "s1", { title: "Amazing Grace", live: true });
+  assert.equal(await push.notifyPublished("sermons", "draft"), null);
+  assert.equal(await push.notifyPublished("songs", "s1"), null);
+  assert.equal(await push.notifyPublished("sermons", "gone"), null);
+  assert.equal(sent.length, 0);
+});
+
+test("invalid tokens are removed after a send", async (t) => {
+  const { store, push } = setup(t);
+  await push.registerDevice("a@x.com", "tok-1");
+  await push.registerDevice("b@x.com", "invalid-1");
+  await store.set("sermons", "s1", {
+    title: "Grace",
+    preacher: "Ann",
+    live: true,
+  });
+
+  assert.deepEqual(await push.notifyPublished("sermons", "s1"), {
+    sent: 1,
+    removed: 1,
+  });
+  assert.deepEqual(await push.listDevices("b@x.com"), []);
+  assert.equal((await push.listDevices("a@x.com")).length, 1);
+});
+
+test("a failed send is logged, not thrown", async (t) => {
+  const { store, push } = setup(t);
+  const errors = [];
+  t.mock.method(console, "error", (...args) => errors.push(args));
+  await store.set("notices", "n1", { title: "Camp", live: true });
+  t.mock.method(store, "query", async () => {
+    throw new Error("down");
+  });
+  assert.equal(await push.notifyPublished("notices", "n1"), null);
+  assert.equal(errors.length, 1);
+});
@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCounterStore,
+  createRateLimiter,
+  createLoginGuard,
+} = require("../lib/rateLimit");
+
+const policies = {
+  test: {
+    ip: { capacity: 3, perMinute: 60 },
+    user: { capacity: 2, perMinute: 60 },
+  },
+};
+
+const fakeRes = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Runs the middleware; resolves to true if it called next()
+const run = async (middleware, req) => {
+  let passed = false;
+  const res = fakeRes();
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+const setup = () => {
+  const counters = createCounterStore(null, {});
+  return { counters, ...createRateLimiter({ counters, policies }) };
+};
+
+test("createCounterStore rejects unknown stores", () => {
+  assert.throws(
+    () => createCounterStore(null, { RATE_LIMIT_STORE: "redis" }),
+    /Unknown RATE_LIMIT_STORE/
+  );
+});
+
+test("limit rejects unknown policies", () => {
+  const { limit } = setup();
+  assert.throws(() => limit("nope"), /Unknown rate limit policy/);
+});
+
+test("a burst up to capacity passes, then 429 with Retry-After", async () => {
+  const { limit } = setup();
+  const middleware = limit("test");
+  const req = { ip: "1.1.1.1" };
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await run(middleware, req)).passed, true);
+  }
+  const { passed, res } = await run(middleware, req);
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers["Retry-After"], "1");
+  assert.equal(res.body.retryAfter, 1);
+});
+
+test("each IP has its own bucket", async () => {
+  const { limit } = setup();
+  const middleware = limit("test");
+  for (let i = 0; i < 3; i++) await run(middleware, { ip: "1.1.1.1" });
+  assert.equal((await run(middleware, { ip: "2.2.2.2" })).passed, true);
+});
+
+test("signed-in callers are also limited per user", async () => {
+  const { limit } = setup();
+  const middleware = limit("test");
+  const user = { email: "a@x.com" };
+  await run(middleware, { ip: "1.1.1.1", user });
+  await run(middleware, { ip: "2.2.2.2", user });
+  const { passed } = await run(middleware, { ip: "3.3.3.3", user });
+  assert.equal(passed, false);
+});
+
+test("buckets refill over time", async (t) => {
+  const { limit } = setup();
+  const middleware = limit("test");
+  const req = { ip: "1.1.1.1" };
+  let now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+
+  for (let i = 0; i < 3; i++) await run(middleware, req);
+  assert.equal((await run(middleware, req)).passed, false);
+  now += 1000; // one token a second
+  assert.equal((await run(middleware, req)).passed, true);
+  assert.equal((await run(middleware, req)).passed, false);
+});
+
+test("a failing counter store lets requests through", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const counters = {
+    get: async () => {
+      throw new Error("down");
+    },
+  };
+  const { limit } = createRateLimiter({ counters, policies });
+  assert.equal((await run(limit("test"), { ip: "1.1.1.1" })).passed, true);
+});
+
+test("login guard locks after repeated failures from one IP", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { counters } = setup();
+  const guard = createLoginGuard({ counters, maxFailures: 3 });
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await guard.lockedFor("a@x.com", "1.1.1.1"), 0);
+    await guard.recordFailure("a@x.com", "1.1.1.1");
+  }
+  const lockedFor = await guard.lockedFor("a@x.com", "1.1.1.1");
+  assert.ok(lockedFor > 0 && lockedFor <= 15 * 60);
+});
+
+test("failures from another IP don't lock the owner out", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { counters } = setup();
+  const guard = createLoginGuard({ counters, maxFailures: 2 });
+  await guard.recordFailure("a@x.com", "6.6.6.6");
+  await guard.recordFailure("a@x.com", "6.6.6.6");
+  assert.ok((await guard.lockedFor("a@x.com", "6.6.6.6")) > 0);
+  assert.equal(await guard.lockedFor("a@x.com", "1.1.1.1"), 0);
+});
+
+test("reset clears the failures", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { counters } = setup();
+  const guard = createLoginGuard({ counters, maxFailures: 1 });
+  await guard.recordFailure("a@x.com", "1.1.1.1");
+  await guard.reset("a@x.com", "1.1.1.1");
+  assert.equal(await guard.lockedFor("a@x.com", "1.1.1.1"), 0);
+});
+
+test("many failures on one account slow every IP down", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  let now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+  const { counters } = setup();
+  const guard = createLoginGuard({
+    counters,
+    maxFailures: 100,
+    accountMaxFailures: 4,
+    maxDelaySeconds: 8,
+  });
+
+  // Spread over IPs, so no single IP is locked
+  for (let i = 0; i < 3; i++)
+    await guard.recordFailure("a@x.com", `6.6.6.${i}`);
+  assert.equal(await guard.lockedFor("a@x.com", "1.1.1.1"), 0);
+
+  const delays = [];
+  for (let i = 3; i < 8; i++) {
+    await guard.recordFailure("a@x.com", `6.6.6.${i}`);
+    delays.push(await guard.lockedFor("a@x.com", "1.1.1.1"));
+  }
+  assert.deepEqual(delays, [1, 2, 4, 8, 8]);
+
+  // A wait, not a lockout
+  now += 8000;
+  assert.equal(await guard.lockedFor("a@x.com", "1.1.1.1"), 0);
+  assert.equal(await guard.lockedFor("b@x.com", "1.1.1.1"), 0);
+});
+
+test("reset also clears the account's failures", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { counters } = setup();
+  const guard = createLoginGuard({ counters, accountMaxFailures: 1 });
+  await guard.recordFailure("a@x.com", "6.6.6.6");
+  assert.ok((await guard.lockedFor("a@x.com", "1.1.1.1")) > 0);
+  await guard.reset("a@x.com", "1.1.1.1");
+  assert.equal(await guard.lockedFor("a@x.com", "1.1.1.1"), 0);
+});
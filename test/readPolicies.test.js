@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  policyFor,
+  parseFields,
+  projectDocument,
+} = require("../lib/readPolicies");
+
+test("only listed collections can be read", () => {
+  assert.equal(policyFor("sermons").permission, null);
+  assert.equal(
+    policyFor("contactMessages").permission,
+    "write:contactMessages"
+  );
+  for (const collection of ["users", "sessions", "constructor", "__proto__"]) {
+    assert.equal(policyFor(collection), null);
+  }
+});
+
+test("members don't see who edited or the publishing state", () => {
+  const { hiddenFields } = policyFor("sermons");
+  for (const field of ["uploadedBy", "updatedBy", "status", "live"]) {
+    assert.ok(hiddenFields.includes(field), field);
+  }
+  assert.ok(!policyFor("songs").hiddenFields.includes("status"));
+});
+
+test("fields parses a de-duplicated list of names", () => {
+  assert.equal(parseFields(undefined), null);
+  assert.equal(parseFields(""), null);
+  assert.deepEqual(parseFields("title, date,title,,"), ["title", "date"]);
+  assert.match(parseFields(["a", "b"]).error, /must be a string/);
+  assert.match(parseFields("data.secret").error, /Invalid field name/);
+  assert.match(
+    parseFields(Array.from({ length: 51 }, (_, i) => `f${i}`).join(",")).error,
+    /at most 50/
+  );
+});
+
+test("projection drops hidden fields and keeps the id", () => {
+  const doc = { id: "s1", title: "Grace", uploadedBy: "a@x.com", live: true };
+  assert.deepEqual(
+    projectDocument(doc, { hiddenFields: ["uploadedBy", "live"] }),
+    { id: "s1", title: "Grace" }
+  );
+  assert.deepEqual(projectDocument(doc, { fields: ["uploadedBy"] }), {
+    id: "s1",
+    uploadedBy: "a@x.com",
+  });
+  // Asking for a hidden field doesn't reveal it
+  assert.deepEqual(
+    projectDocument(doc, {
+      hiddenFields: ["uploadedBy"],
+      fields: ["uploadedBy"],
+    }),
+    { id: "s1" }
+  );
+});
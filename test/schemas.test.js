@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { collectionSchemas, validateDocument } = require("../lib/schemas");
+
+const fieldsOf = (errors) => errors.map(({ field }) => field);
+
+test("a valid sermon passes with dates converted", () => {
+  const { errors, value } = validateDocument("sermons", {
+    title: "Grace",
+    content: "Grace upon grace.",
+    date: "2026-10-18",
+    tags: ["grace"],
+    thumbnailUrl: "https://example.com/a.jpg",
+  });
+  assert.deepEqual(errors, []);
+  assert.ok(value.date instanceof Date);
+  assert.deepEqual(value.tags, ["grace"]);
+});
+
+test("required fields must be present and not blank", () => {
+  const { errors } = validateDocument("sermons", { title: "  " });
+  assert.deepEqual(fieldsOf(errors).sort(), ["content", "title"]);
+});
+
+test("partial updates skip missing fields but can't blank required ones", () => {
+  assert.deepEqual(
+    validateDocument("sermons", { preacher: "Ann" }, { partial: true }).errors,
+    []
+  );
+  const { errors } = validateDocument(
+    "sermons",
+    { title: null },
+    { partial: true }
+  );
+  assert.deepEqual(fieldsOf(errors), ["title"]);
+});
+
+test("types, lengths and enums are checked", () => {
+  const { errors } = validateDocument("sermons", {
+    title: "x".repeat(201),
+    content: 5,
+    audioUrl: "javascript:alert(1)",
+    date: "someday",
+    tags: ["ok", 3],
+    status: "secret",
+  });
+  assert.deepEqual(
+    Object.fromEntries(errors.map(({ field, message }) => [field, message])),
+    {
+      title: "must be at most 200 characters",
+      content: "must be a string",
+      audioUrl: "must be an http(s) URL",
+      date: "must be an ISO date",
+      tags: "item 1 must be a string",
+      status: "must be one of: draft, published, archived",
+    }
+  );
+});
+
+test("categories are any short string", () => {
+  for (const collection of ["sermons", "songs", "videos", "notices"]) {
+    assert.deepEqual(collectionSchemas[collection].category, {
+      type: "string",
+      maxLength: 100,
+    });
+  }
+  const ok = validateDocument("notices", {
+    title: "Picnic",
+    content: "Bring food.",
+    category: "men's fellowship",
+  });
+  assert.deepEqual(ok.errors, []);
+  const long = validateDocument("notices", {
+    title: "Picnic",
+    content: "Bring food.",
+    category: "x".repeat(101),
+  });
+  assert.deepEqual(fieldsOf(long.errors), ["category"]);
+});
+
+test("unknown fields are rejected by default", () => {
+  const { errors, dropped } = validateDocument("songs", {
+    title: "Amazing Grace",
+    uploadedBy: "someone@else.com",
+  });
+  assert.deepEqual(errors, [
+    { field: "uploadedBy", message: "is not an allowed field" },
+  ]);
+  assert.deepEqual(dropped, []);
+});
+
+test("unknown fields can be dropped instead", () => {
+  const { errors, value, dropped } = validateDocument(
+    "songs",
+    {
+      title: "Amazing Grace",
+      uploadedBy: "someone@else.com",
+      ttsAudioUrl: "x",
+    },
+    { unknownFields: "drop" }
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(dropped, ["uploadedBy", "ttsAudioUrl"]);
+  assert.deepEqual(value, { title: "Amazing Grace" });
+});
+
+test("bodies that aren't objects are refused", () => {
+  for (const body of [null, [], "text"]) {
+    const { errors } = validateDocument("songs", body);
+    assert.equal(errors[0].message, "Body must be a JSON object");
+  }
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  stem,
+  parseQuery,
+  highlight,
+  snippet,
+  createSearchIndex,
+} = require("../lib/search");
+
+const setup = async () => {
+  const store = createLocalStore();
+  const index = createSearchIndex({ store });
+  const add = async (collection, id, data) => {
+    await store.set(collection, id, data);
+    await index.upsert(collection, id, data);
+  };
+  return { store, index, add };
+};
+
+const ids = (results) => results.map(({ id }) => id);
+
+test("word forms share a stem", () => {
+  assert.equal(stem("forgiving"), stem("forgive"));
+  assert.equal(stem("forgiveness"), stem("forgive"));
+  assert.equal(stem("blessings"), stem("blessing"));
+  assert.equal(stem("churches"), "church");
+  assert.equal(stem("2024"), "2024");
+});
+
+test("queries drop stop words and match the last word as a prefix", () => {
+  assert.deepEqual(
+    parseQuery("the grace of Go").map(({ word, prefix }) => [word, prefix]),
+    [
+      ["grace", false],
+      ["go", true],
+    ]
+  );
+  assert.equal(parseQuery("grace ")[0].prefix, false);
+  assert.deepEqual(parseQuery("the and of"), []);
+});
+
+test("title matches rank above body matches", async () => {
+  const { index, add } = await setup();
+  await add("sermons", "body", { title: "Sunday", content: "Amazing grace" });
+  await add("sermons", "title", { title: "Grace", content: "Sunday" });
+  await add("sermons", "none", { title: "Hope", content: "Faith" });
+
+  assert.deepEqual(ids(await index.search(parseQuery("grace "), ["sermons"])), [
+    "title",
+    "body",
+  ]);
+});
+
+test("every term has to match, prefixes included", async () => {
+  const { index, add } = await setup();
+  await add("songs", "a", { title: "Amazing Grace", artist: "Newton" });
+  await add("songs", "b", { title: "Grace Alone" });
+
+  assert.deepEqual(
+    ids(await index.search(parseQuery("grace new"), ["songs"])),
+    ["a"]
+  );
+  assert.deepEqual(
+    await index.search(parseQuery("grace hope "), ["songs"]),
+    []
+  );
+});
+
+test("words that are Object properties are ordinary words", async () => {
+  const { index, add } = await setup();
+  await add("notices", "a", { title: "Call for a constructor" });
+  await add("notices", "b", { title: "Picnic" });
+
+  const results = await index.search(parseQuery("constructor "), ["notices"]);
+  assert.deepEqual(ids(results), ["a"]);
+  assert.ok(Number.isFinite(results[0].score));
+});
+
+test("removed documents drop out and rebuild resyncs", async () => {
+  const { store, index, add } = await setup();
+  await add("videos", "a", { title: "Choir concert" });
+  await add("videos", "b", { title: "Choir practice" });
+
+  await index.remove("videos", "a");
+  assert.deepEqual(ids(await index.search(parseQuery("choir "), ["videos"])), [
+    "b",
+  ]);
+
+  // Written behind the index's back; "a" is still in the collection
+  await store.set("videos", "c", { title: "Choir tour" });
+  await store.delete("videos", "b");
+  assert.equal(await index.rebuild("videos"), 2);
+  assert.deepEqual(
+    ids(await index.search(parseQuery("choir "), ["videos"])).sort(),
+    ["a", "c"]
+  );
+});
+
+test("highlights are escaped and mark matching words", () => {
+  assert.equal(
+    highlight("<b>Grace</b> & graces", parseQuery("grace ")),
+    "&lt;b&gt;<mark>Grace</mark>&lt;/b&gt; &amp; <mark>graces</mark>"
+  );
+});
+
+test("snippets show the text around the first match", () => {
+  const text = `${"Lorem ipsum dolor sit amet. ".repeat(
+    20
+  )}Grace abounds. ${"Amen. ".repeat(20)}`;
+  const result = snippet(text, parseQuery("grace "), 100);
+  assert.ok(result.startsWith("…"));
+  assert.ok(result.endsWith("…"));
+  assert.ok(result.includes("<mark>Grace</mark>"));
+  assert.equal(snippet("", parseQuery("grace")), "");
+});
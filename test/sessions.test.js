@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { createLocalStore } = require("../lib/backends/local");
+const { createSessionManager } = require("../lib/sessions");
+
+const SECRET = "test-secret";
+
+const setup = () => {
+  const store = createLocalStore();
+  return { store, sessions: createSessionManager({ store, secret: SECRET }) };
+};
+
+test("create issues an access token bound to a session", async () => {
+  const { sessions } = setup();
+  const { token, refreshToken } = await sessions.create("a@x.com");
+  const payload = jwt.verify(token, SECRET);
+  assert.equal(payload.email, "a@x.com");
+  assert.equal(refreshToken.split(".")[0], payload.sid);
+  assert.equal(await sessions.isActive(payload), true);
+});
+
+test("refresh rotates the refresh token", async () => {
+  const { sessions } = setup();
+  const first = await sessions.create("a@x.com");
+  const second = await sessions.refresh(first.refreshToken);
+  assert.ok(second);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.ok(await sessions.refresh(second.refreshToken));
+});
+
+test("reusing a rotated refresh token revokes the session", async () => {
+  const { sessions } = setup();
+  const first = await sessions.create("a@x.com");
+  const second = await sessions.refresh(first.refreshToken);
+
+  assert.equal(await sessions.refresh(first.refreshToken), null);
+  // The thief's and the owner's tokens are both dead now
+  assert.equal(await sessions.refresh(second.refreshToken), null);
+  assert.equal(
+    await sessions.isActive(jwt.verify(second.token, SECRET)),
+    false
+  );
+});
+
+test("refresh rejects malformed and unknown tokens", async () => {
+  const { sessions } = setup();
+  const { refreshToken } = await sessions.create("a@x.com");
+  const [sessionId] = refreshToken.split(".");
+  assert.equal(await sessions.refresh("garbage"), null);
+  assert.equal(await sessions.refresh(`${sessionId}.wrong`), null);
+  assert.equal(await sessions.refresh("missing.secret"), null);
+  assert.equal(await sessions.refresh(undefined), null);
+});
+
+test("refresh rejects expired sessions", async () => {
+  const store = createLocalStore();
+  const sessions = createSessionManager({
+    store,
+    secret: SECRET,
+    refreshTokenTtlDays: -1,
+  });
+  const { refreshToken } = await sessions.create("a@x.com");
+  assert.equal(await sessions.refresh(refreshToken), null);
+});
+
+test("findByRefreshToken only finds live sessions", async () => {
+  const { sessions } = setup();
+  const { refreshToken } = await sessions.create("a@x.com");
+  const session = await sessions.findByRefreshToken(refreshToken);
+  assert.equal(session.email, "a@x.com");
+
+  await sessions.revoke(session.id);
+  assert.equal(await sessions.findByRefreshToken(refreshToken), null);
+});
+
+test("revokeAll ends every session and older tokens", async () => {
+  const { sessions } = setup();
+  const one = await sessions.create("a@x.com");
+  const two = await sessions.create("a@x.com");
+  const other = await sessions.create("b@x.com");
+  const legacy = jwt.sign(
+    { email: "a@x.com", iat: Math.floor(Date.now() / 1000) - 60 },
+    SECRET
+  );
+
+  assert.equal(await sessions.revokeAll("a@x.com"), 2);
+  for (const { token } of [one, two]) {
+    assert.equal(await sessions.isActive(jwt.verify(token, SECRET)), false);
+  }
+  assert.equal(await sessions.isActive(jwt.verify(legacy, SECRET)), false);
+  assert.equal(await sessions.isActive(jwt.verify(other.token, SECRET)), true);
+});
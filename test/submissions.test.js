@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  submitterKey,
+  hashContent,
+  createSubmissionGuard,
+} = require("../lib/submissions");
+
+// Stores a submission the way POST /submissions/:collection does
+const submit = (store, collection, key, text, createdAt = new Date()) =>
+  store.add(collection, {
+    message: text,
+    submitterKey: key,
+    contentHash: hashContent(text),
+    createdAt,
+  });
+
+test("submitters are keyed by account, or by a hash of their IP", () => {
+  assert.equal(
+    submitterKey({ email: "a@x.com", ip: "1.1.1.1" }),
+    "user:a@x.com"
+  );
+  const anonymous = submitterKey({ email: null, ip: "1.1.1.1" });
+  assert.match(anonymous, /^ip:[a-f0-9]{64}$/);
+  assert.ok(!anonymous.includes("1.1.1.1"));
+  assert.notEqual(anonymous, submitterKey({ email: null, ip: "2.2.2.2" }));
+});
+
+test("case and spacing don't make a message new", () => {
+  assert.equal(
+    hashContent("Please  pray\nfor me"),
+    hashContent("please pray for me ")
+  );
+  assert.notEqual(hashContent("Pray for me"), hashContent("Pray for us"));
+});
+
+test("the same text from the same submitter is refused", async () => {
+  const store = createLocalStore();
+  const guard = createSubmissionGuard({ store });
+  await submit(store, "contactMessages", "user:a@x.com", "Hello there");
+
+  const again = await guard.check("contactMessages", {
+    key: "user:a@x.com",
+    anonymous: false,
+    contentHash: hashContent("hello   THERE"),
+  });
+  assert.equal(again.status, 409);
+
+  // Someone else may send the same words
+  assert.equal(
+    await guard.check("contactMessages", {
+      key: "user:b@x.com",
+      anonymous: false,
+      contentHash: hashContent("Hello there"),
+    }),
+    null
+  );
+});
+
+test("anonymous submitters get a smaller daily quota", async () => {
+  const store = createLocalStore();
+  const guard = createSubmissionGuard({ store });
+  const key = submitterKey({ email: null, ip: "1.1.1.1" });
+  await submit(store, "contactMessages", key, "one");
+  await submit(store, "contactMessages", key, "two");
+
+  const third = await guard.check("contactMessages", {
+    key,
+    anonymous: true,
+    contentHash: hashContent("three"),
+  });
+  assert.equal(third.status, 429);
+  assert.match(third.error, /Limit of 2 submissions/);
+
+  // Members get more
+  assert.equal(
+    await guard.check("contactMessages", {
+      key: "user:a@x.com",
+      anonymous: false,
+      contentHash: hashContent("three"),
+    }),
+    null
+  );
+});
+
+test("submissions older than a day don't count", async () => {
+  const store = createLocalStore();
+  const guard = createSubmissionGuard({ store });
+  const yesterday = new Date(Date.now() - 25 * 3600000);
+  for (const text of ["one", "two", "three"]) {
+    await submit(store, "contactMessages", "ip:x", text, yesterday);
+  }
+  assert.equal(
+    await guard.check("contactMessages", {
+      key: "ip:x",
+      anonymous: true,
+      contentHash: hashContent("one"),
+    }),
+    null
+  );
+});
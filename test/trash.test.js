@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  createLocalStore,
+  createLocalStorage,
+} = require("../lib/backends/local");
+const { createTrash } = require("../lib/trash");
+
+const setup = async (t, options = {}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "trash-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  const store = createLocalStore();
+  const storage = createLocalStorage({
+    rootDir: path.join(dir, "storage"),
+    baseUrl: "http://files.test",
+  });
+  const trash = createTrash({ store, storage, ...options });
+  return { store, storage, trash };
+};
+
+test("deleted documents can be restored under their old id", async (t) => {
+  const { store, trash } = await setup(t);
+  await store.set("songs", "s1", { title: "Amazing Grace" });
+
+  const removed = await trash.moveToTrash("songs", "s1", "a@x.com");
+  assert.equal(removed.title, "Amazing Grace");
+  assert.equal(await store.get("songs", "s1"), null);
+  const entry = await trash.get("songs", "s1");
+  assert.equal(entry.deletedBy, "a@x.com");
+  assert.ok(entry.purgeAfter > entry.deletedAt);
+
+  assert.equal(await trash.restore("songs", "s1"), "restored");
+  assert.equal((await store.get("songs", "s1")).data.title, "Amazing Grace");
+  assert.equal(await trash.get("songs", "s1"), null);
+  assert.equal(await trash.restore("songs", "s1"), "missing");
+});
+
+test("restore refuses to overwrite a reused id", async (t) => {
+  const { store, trash } = await setup(t);
+  await store.set("songs", "s1", { title: "Old" });
+  await trash.moveToTrash("songs", "s1", "a@x.com");
+  await store.set("songs", "s1", { title: "New" });
+
+  assert.equal(await trash.restore("songs", "s1"), "conflict");
+  assert.equal((await store.get("songs", "s1")).data.title, "New");
+});
+
+test("purging deletes linked files and runs onPurge", async (t) => {
+  const purged = [];
+  const { store, storage, trash } = await setup(t, {
+    onPurge: async (collection, docId) => purged.push(`${collection}/${docId}`),
+  });
+  const audioUrl = await storage.save("sermons/a.mp3", Buffer.from("a"));
+  const variantPath = "sermons/tts/s1_en-US_voice.mp3";
+  await storage.save(variantPath, Buffer.from("tts"));
+  await store.set("sermons", "s1", {
+    title: "Grace",
+    audioUrl,
+    ttsVariants: { "en-US_voice": { path: variantPath } },
+  });
+
+  await trash.moveToTrash("sermons", "s1", "a@x.com");
+  assert.equal(await trash.purge("sermons", "s1"), true);
+
+  assert.equal(await storage.exists("sermons/a.mp3"), false);
+  assert.equal(await storage.exists(variantPath), false);
+  assert.deepEqual(purged, ["sermons/s1"]);
+  assert.equal(await trash.get("sermons", "s1"), null);
+  assert.equal(await trash.purge("sermons", "s1"), false);
+});
+
+test("files another document links to are kept", async (t) => {
+  const { store, storage, trash } = await setup(t);
+  const imageUrl = await storage.save("notices/poster.png", Buffer.from("p"));
+  await store.set("videos", "v1", { title: "Video", thumbnailUrl: imageUrl });
+  for (const id of ["n1", "n2", "n3"]) {
+    await store.set("notices", id, { title: id, imageUrl });
+  }
+
+  // Linked from a live document
+  await trash.moveToTrash("notices", "n1", "a@x.com");
+  await trash.purge("notices", "n1");
+  assert.equal(await storage.exists("notices/poster.png"), true);
+
+  // Linked from the trash, which may still be restored
+  await store.delete("videos", "v1");
+  await trash.moveToTrash("notices", "n2", "a@x.com");
+  await trash.moveToTrash("notices", "n3", "a@x.com");
+  await trash.purge("notices", "n2");
+  assert.equal(await storage.exists("notices/poster.png"), true);
+
+  await trash.purge("notices", "n3");
+  assert.equal(await storage.exists("notices/poster.png"), false);
+});
+
+test("purgeExpired only purges entries past their retention", async (t) => {
+  const { store, trash } = await setup(t, { retentionDays: 30 });
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-10-01") });
+  await store.set("songs", "old", { title: "Old" });
+  await store.set("songs", "new", { title: "New" });
+
+  await trash.moveToTrash("songs", "old", "a@x.com");
+  t.mock.timers.tick(20 * 86400000);
+  await trash.moveToTrash("songs", "new", "a@x.com");
+  t.mock.timers.tick(11 * 86400000);
+
+  assert.equal(await trash.purgeExpired(), 1);
+  assert.equal(await trash.get("songs", "old"), null);
+  assert.ok(await trash.get("songs", "new"));
+});
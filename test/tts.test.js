@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTts } = require("../lib/tts");
+const { parseFrames } = require("../lib/mp3");
+
+// In-memory stand-in for the storage backend
+const memoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    exists: async (destination) => files.has(destination),
+    read: async (destination) => files.get(destination),
+    save: async (destination, buffer, options) => {
+      files.set(destination, buffer);
+      files.set(`${destination}#options`, options);
+    },
+  };
+};
+
+test.beforeEach((t) => t.mock.method(console, "log", () => {}));
+
+test("defaults to local without a Google key outside production", () => {
+  const tts = createTts({ storage: memoryStorage(), env: {} });
+  assert.equal(tts.provider, "local");
+});
+
+test("defaults to google when a key is set", () => {
+  const tts = createTts({
+    storage: memoryStorage(),
+    env: { GOOGLE_TTS_API_KEY: "key", NODE_ENV: "production" },
+  });
+  assert.equal(tts.provider, "google");
+});
+
+test("production needs a provider or a Google key", () => {
+  assert.throws(
+    () =>
+      createTts({ storage: memoryStorage(), env: { NODE_ENV: "production" } }),
+    /must be set when NODE_ENV=production/
+  );
+  const tts = createTts({
+    storage: memoryStorage(),
+    env: { NODE_ENV: "production", TTS_PROVIDER: "local" },
+  });
+  assert.equal(tts.provider, "local");
+});
+
+test("unknown providers are refused", () => {
+  assert.throws(
+    () => createTts({ storage: memoryStorage(), env: { TTS_PROVIDER: "x" } }),
+    /Unknown TTS_PROVIDER/
+  );
+});
+
+test("the local provider makes MP3 audio that follows the text length", async () => {
+  const tts = createTts({ storage: memoryStorage(), env: {} });
+  const short = await tts.synthesize("Grace.", "en-US", "voice");
+  const long = await tts.synthesize("Grace ".repeat(50), "en-US", "voice");
+  assert.ok(parseFrames(short.audio).length > 0);
+  assert.ok(long.audio.length > short.audio.length);
+});
+
+test("results are cached privately by text, language and voice", async () => {
+  const storage = memoryStorage();
+  const tts = createTts({ storage, env: {} });
+
+  const first = await tts.synthesize("Amen.", "en-US", "voice");
+  const second = await tts.synthesize("Amen.", "en-US", "voice");
+  const otherVoice = await tts.synthesize("Amen.", "en-US", "other");
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.deepEqual(second.audio, first.audio);
+  assert.equal(otherVoice.cached, false);
+
+  const [cachePath] = [...storage.files.keys()];
+  assert.match(cachePath, /^tts-cache\/[a-f0-9]{64}\.mp3$/);
+  assert.equal(storage.files.get(`${cachePath}#options`).public, false);
+});
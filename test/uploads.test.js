@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  createLocalStore,
+  createLocalStorage,
+} = require("../lib/backends/local");
+const { createUploadSessions } = require("../lib/uploads");
+
+const sha256 = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+const FILE = Buffer.from("0123456789abcdefghij");
+
+const setup = async (t, options = {}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const store = createLocalStore();
+  const storage = createLocalStorage({
+    rootDir: path.join(dir, "storage"),
+    baseUrl: "http://files.test",
+  });
+  const uploads = createUploadSessions({
+    store,
+    storage,
+    tmpDir: path.join(dir, "tmp"),
+    ...options,
+  });
+  const session = await uploads.create({
+    email: "a@x.com",
+    path: "videos/clip.mp4",
+    size: FILE.length,
+    sha256: sha256(FILE),
+  });
+  return { dir, store, uploads, session };
+};
+
+test("parts are appended and the session reports its progress", async (t) => {
+  const { uploads, session } = await setup(t);
+  assert.equal(session.received, 0);
+
+  assert.deepEqual(await uploads.writePart(session, 0, FILE.subarray(0, 8)), {
+    received: 8,
+  });
+  const resumed = await uploads.get(session.id, "a@x.com");
+  assert.equal(resumed.received, 8);
+  assert.equal(resumed.path, "videos/clip.mp4");
+});
+
+test("sessions belong to the user who created them", async (t) => {
+  const { uploads, session } = await setup(t);
+  assert.equal(await uploads.get(session.id, "b@x.com"), null);
+  assert.equal(await uploads.get("missing", "a@x.com"), null);
+});
+
+test("a part may not leave a gap or pass the declared size", async (t) => {
+  const { uploads, session } = await setup(t);
+  const gap = await uploads.writePart(session, 5, FILE.subarray(5, 10));
+  assert.equal(gap.status, 409);
+  assert.equal(gap.received, 0);
+
+  const tooBig = await uploads.writePart(
+    session,
+    0,
+    Buffer.concat([FILE, Buffer.from("x")])
+  );
+  assert.equal(tooBig.status, 400);
+});
+
+test("a retried part overwrites from its offset", async (t) => {
+  const { uploads, session } = await setup(t);
+  await uploads.writePart(session, 0, Buffer.from("0123456789XXXX"));
+  let current = await uploads.get(session.id, "a@x.com");
+  await uploads.writePart(current, 10, FILE.subarray(10));
+  current = await uploads.get(session.id, "a@x.com");
+  assert.equal(current.received, FILE.length);
+
+  const { url, path: stored } = await uploads.complete(current);
+  assert.equal(url, "http://files.test/files/videos/clip.mp4");
+  assert.equal(stored, "videos/clip.mp4");
+});
+
+test("complete checks the size and checksum", async (t) => {
+  const { dir, uploads, session } = await setup(t);
+  await uploads.writePart(session, 0, FILE.subarray(0, 10));
+  let current = await uploads.get(session.id, "a@x.com");
+  assert.equal((await uploads.complete(current)).status, 409);
+
+  await uploads.writePart(current, 10, Buffer.from("ABCDEFGHIJ"));
+  current = await uploads.get(session.id, "a@x.com");
+  const mismatch = await uploads.complete(current);
+  assert.equal(mismatch.status, 422);
+  assert.equal(mismatch.sha256, sha256(Buffer.from("0123456789ABCDEFGHIJ")));
+
+  // A checksum given at completion replaces the one from the start
+  const result = await uploads.complete(current, mismatch.sha256);
+  assert.ok(result.url);
+  const stored = path.join(dir, "storage", "videos", "clip.mp4");
+  assert.equal(await fs.readFile(stored, "utf8"), "0123456789ABCDEFGHIJ");
+  assert.equal(await uploads.get(session.id, "a@x.com"), null);
+});
+
+test("checkFile decides the stored path or rejects the file", async (t) => {
+  const { uploads, session } = await setup(t, {
+    checkFile: async (filePath, { path: destination }) => {
+      const head = await fs.readFile(filePath, "utf8");
+      return head.startsWith("0123")
+        ? { path: `${destination}.checked`, contentType: "video/mp4" }
+        : { status: 415, error: "Wrong type" };
+    },
+  });
+  await uploads.writePart(session, 0, FILE);
+  const current = await uploads.get(session.id, "a@x.com");
+  assert.deepEqual(await uploads.complete(current), {
+    url: "http://files.test/files/videos/clip.mp4.checked",
+    path: "videos/clip.mp4.checked",
+    contentType: "video/mp4",
+  });
+});
+
+test("expired sessions are gone and get purged", async (t) => {
+  const { dir, uploads, session } = await setup(t, { ttlHours: 0 });
+  assert.equal(await uploads.get(session.id, "a@x.com"), null);
+  assert.equal(await uploads.purgeExpired(), 1);
+  assert.deepEqual(await fs.readdir(path.join(dir, "tmp")), []);
+});
+
+test("abort removes the session and its temp file", async (t) => {
+  const { dir, uploads, session } = await setup(t);
+  await uploads.writePart(session, 0, FILE.subarray(0, 4));
+  await uploads.abort(session);
+  assert.equal(await uploads.get(session.id, "a@x.com"), null);
+  assert.deepEqual(await fs.readdir(path.join(dir, "tmp")), []);
+});
+
+test("only one part of a session is written at a time", async (t) => {
+  const { uploads, session } = await setup(t);
+  const [first, second] = await Promise.all([
+    uploads.writePart(session, 0, FILE.subarray(0, 10)),
+    uploads.writePart(session, 0, FILE.subarray(0, 10)),
+  ]);
+  assert.deepEqual(first, { received: 10 });
+  assert.equal(second.status, 409);
+});
+
+test("each user may only have so many sessions open", async (t) => {
+  const { uploads, session } = await setup(t, { maxOpenSessions: 2 });
+  const start = (email) =>
+    uploads.create({ email, path: "videos/b.mp4", size: 10, sha256: null });
+
+  assert.ok((await start("a@x.com")).id);
+  const refused = await start("a@x.com");
+  assert.equal(refused.status, 429);
+  assert.match(refused.error, /complete or abort one/);
+  assert.ok((await start("b@x.com")).id);
+
+  await uploads.abort(session);
+  assert.ok((await start("a@x.com")).id);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalStore } = require("../lib/backends/local");
+const {
+  versionedFields,
+  diffVersions,
+  createVersionHistory,
+} = require("../lib/versions");
+
+const sermon = (content, extra = {}) => ({
+  title: "Grace",
+  content,
+  updatedBy: "a@x.com",
+  updatedAt: new Date("2026-10-18T10:00:00Z"),
+  ...extra,
+});
+
+test("publishing fields aren't versioned", () => {
+  const fields = versionedFields("sermons");
+  assert.ok(fields.includes("content"));
+  assert.ok(!fields.includes("status"));
+  assert.ok(!fields.includes("publishAt"));
+});
+
+test("snapshots are numbered from 1 and keep only content fields", async () => {
+  const history = createVersionHistory({ store: createLocalStore() });
+  const first = await history.snapshot(
+    "sermons",
+    "s1",
+    sermon("One", { status: "draft", ttsAudioUrl: "x" }),
+    { replacedBy: "b@x.com" }
+  );
+  const second = await history.snapshot("sermons", "s1", sermon("Two"), {
+    replacedBy: "b@x.com",
+  });
+  assert.deepEqual([first, second], [1, 2]);
+
+  const saved = await history.get("sermons", "s1", 1);
+  assert.deepEqual(saved.data, { title: "Grace", content: "One" });
+  assert.equal(saved.editedBy, "a@x.com");
+  assert.equal(saved.replacedBy, "b@x.com");
+  assert.equal(saved.change, "update");
+  assert.equal(await history.get("sermons", "s1", 3), null);
+});
+
+test("concurrent snapshots get their own numbers", async () => {
+  const history = createVersionHistory({ store: createLocalStore() });
+  const numbers = await Promise.all(
+    ["A", "B", "C"].map((content) =>
+      history.snapshot("songs", "g1", { title: content }, { replacedBy: null })
+    )
+  );
+  assert.deepEqual([...numbers].sort(), [1, 2, 3]);
+
+  const titles = [];
+  for (const number of [1, 2, 3]) {
+    titles.push((await history.get("songs", "g1", number)).data.title);
+  }
+  assert.deepEqual(titles.sort(), ["A", "B", "C"]);
+});
+
+test("reverts are recorded as such", async () => {
+  const history = createVersionHistory({ store: createLocalStore() });
+  await history.snapshot("sermons", "s1", sermon("One"), {
+    replacedBy: "b@x.com",
+  });
+  const number = await history.snapshot("sermons", "s1", sermon("Two"), {
+    replacedBy: "b@x.com",
+    change: "revert",
+    revertedTo: 1,
+  });
+  const saved = await history.get("sermons", "s1", number);
+  assert.equal(saved.change, "revert");
+  assert.equal(saved.revertedTo, 1);
+});
+
+test("removeAll deletes a document's history", async () => {
+  const history = createVersionHistory({ store: createLocalStore() });
+  for (const content of ["One", "Two"]) {
+    await history.snapshot("sermons", "s1", sermon(content), {
+      replacedBy: null,
+    });
+  }
+  await history.snapshot("sermons", "s2", sermon("Other"), {
+    replacedBy: null,
+  });
+
+  assert.equal(await history.removeAll("sermons", "s1"), 2);
+  assert.equal(await history.get("sermons", "s1", 1), null);
+  assert.ok(await history.get("sermons", "s2", 1));
+});
+
+test("diffs list changed fields with line diffs for text", () => {
+  const changes = diffVersions(
+    "sermons",
+    sermon("In the beginning\nwas the Word\nAmen."),
+    sermon("In the beginning\nwas the Light\nAmen.", { preacher: "Ann" })
+  );
+  assert.deepEqual(Object.keys(changes).sort(), ["content", "preacher"]);
+  assert.deepEqual(changes.preacher, { before: null, after: "Ann" });
+  assert.deepEqual(changes.content.lines, [
+    { op: "equal", lines: ["In the beginning"] },
+    { op: "delete", lines: ["was the Word"] },
+    { op: "insert", lines: ["was the Light"] },
+    { op: "equal", lines: ["Amen."] },
+  ]);
+});
+
+test("equal dates and unversioned fields aren't changes", () => {
+  const changes = diffVersions(
+    "sermons",
+    sermon("Same", { date: new Date("2026-10-18"), status: "draft" }),
+    sermon("Same", { date: "2026-10-18T00:00:00.000Z", status: "published" })
+  );
+  assert.deepEqual(changes, {});
+});